@@ -1,5 +1,3 @@
-const path = require('path');
-
 module.exports = {
   'webpack.fast.refresh': true,
   'webpack.live.reload': true,
@@ -7,23 +5,11 @@ module.exports = {
   'webpack.cache.filesystem': false,
   'webpack.bundle.analyzer': false,
   'webpack.bundle.stats': false,
-  'paths': {
-    'srcRoot': path.resolve('./apps/website/src'),
-    'srcCss': './apps/website/src/css',
-    'srcJs': './apps/website/dist',
-    'generatedRoot': path.resolve('./apps/website/dist'),
-  },
+  // Id of the element each generated HTML page mounts the app into.
+  'webpack.html.mount': 'main',
+  // Shared by every app under apps/*, which declare their own source and
+  // output paths along with their entry points.
+  'paths': {},
   'webpack.enabled.packages': [],
-  'applicationData': {
-    getEntryPoints: (props) => ({
-      entryPoints: [
-        [
-          // js
-          ['index.js'],
-          // less/css
-          ['index.less'],
-        ],
-      ]
-    }),
-  },
+  'webpack.less.alias': {},
 };
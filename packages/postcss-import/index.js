@@ -1,12 +1,183 @@
 'use strict';
 
-const { join, dirname } = require('path');
-const { readFile } = require('fs').promises;
+const { basename, dirname, relative } = require('path');
+const { access, readFile } = require('fs').promises;
+const valueParser = require('postcss-value-parser');
+const { createImportCache } = require('./lib/cache');
+const { createLimiter } = require('./lib/limit');
+const { createReport, renderReport } = require('./lib/report');
+const { createResolver } = require('./lib/resolve');
+
+// Imported files read and parsed at once, unless given `concurrency`.
+const defaultConcurrency = 8;
 
 const isImportNode = (node) => {
     return node.type === 'atrule' && node.import;
 };
 
+// LESS import options, e.g. `@import (reference, optional) 'mixins.less'`.
+const knownImportOptions = [
+    'reference',
+    'inline',
+    'less',
+    'css',
+    'once',
+    'multiple',
+    'optional',
+];
+
+// postcss-less takes the first parentheses of the params as the options,
+// they are only options when they come first, `'a.less' (min-width: 10px)`
+// has a media query.
+const getOptionsText = (node) =>
+    node.options && node.params.trim().startsWith(node.options)
+        ? node.options
+        : '';
+
+const getImportOptions = (node) =>
+    new Set(
+        getOptionsText(node)
+            .replace(/^\(|\)$/g, '')
+            .split(',')
+            .map((option) => option.trim())
+            .filter(Boolean)
+    );
+
+// Imports which only LESS can honour, `(reference)` and `(inline)`, as well as
+// plain CSS imports, are kept for LESS instead of being inlined.
+const isLessImport = (node) => {
+    const importOptions = getImportOptions(node);
+
+    return (
+        importOptions.has('reference') ||
+        importOptions.has('inline') ||
+        importOptions.has('css')
+    );
+};
+
+// `supports(display: grid)` is short for `@supports (display: grid)`.
+const toSupportsParams = (condition) =>
+    /^[\w-]+\s*:/.test(condition) ? `(${condition})` : condition;
+
+/**
+ * Splits the params of an import into the imported URI and its conditions,
+ * e.g. `'print.less' print` or `url(grid.less) layer(base) supports(display:
+ * grid) screen`.
+ *
+ * @param {object} node - Import node
+ * @returns {object} - `{ uri, conditions, conditionsText }`, conditions
+ * being undefined when there are none, otherwise `{ layer, supports, media }`
+ * each set when present
+ */
+function parseImportParams(node) {
+    const params = node.params.trim().slice(getOptionsText(node).length);
+    const nodes = valueParser(params.trim()).nodes;
+    const [first] = nodes;
+    const uri =
+        first.type === 'function' && first.value === 'url'
+            ? first.nodes.length && first.nodes[0].value
+            : first.type === 'string'
+            ? first.value
+            : valueParser.stringify(first);
+
+    const rest = nodes.slice(1);
+    const conditions = {};
+
+    while (rest.length) {
+        const [next] = rest;
+
+        if (next.type === 'space') {
+            rest.shift();
+        } else if (next.value === 'layer' && next.type === 'word') {
+            conditions.layer = '';
+            rest.shift();
+        } else if (
+            next.type === 'function' &&
+            (next.value === 'layer' || next.value === 'supports')
+        ) {
+            const condition = valueParser.stringify(next.nodes).trim();
+            conditions[next.value] =
+                next.value === 'supports'
+                    ? toSupportsParams(condition)
+                    : condition;
+            rest.shift();
+        } else {
+            conditions.media = valueParser.stringify(rest).trim();
+            break;
+        }
+    }
+
+    return {
+        uri,
+        conditions: Object.keys(conditions).length ? conditions : undefined,
+        conditionsText: valueParser.stringify(nodes.slice(1)),
+    };
+}
+
+/**
+ * Wraps imported nodes in the blocks of their import conditions. Conditions
+ * are listed from the outermost import down, at each level the media query
+ * wraps the supports condition, which wraps the layer, as in CSS.
+ *
+ * @param {object} postcss - PostCSS instance
+ * @param {object[]} nodes - Imported nodes
+ * @param {object[]} conditions - Conditions, see `parseImportParams`
+ * @param {object} source - Source of the import, for the wrapping blocks
+ * @returns {object[]} - nodes to inject
+ */
+const wrapInConditions = (postcss, nodes, conditions, source) =>
+    conditions.reduceRight(
+        (inner, { layer, supports, media }) =>
+            [
+                ['layer', layer],
+                ['supports', supports],
+                ['media', media],
+            ]
+                .filter(([, params]) => params !== undefined)
+                .reduce((wrapped, [name, params]) => {
+                    const atRule = postcss.atRule({ name, params, source });
+
+                    atRule.nodes = wrapped;
+                    atRule.raws.before = '\n\n';
+                    atRule.raws.after = '\n';
+
+                    return [atRule];
+                }, inner),
+        nodes
+    );
+
+const byteSize = (nodes, syntax) =>
+    Buffer.byteLength(nodes.map((node) => node.toString(syntax)).join(''));
+
+const isMissingFile = (e) =>
+    e.code === 'ENOENT' || e.code === 'MODULE_NOT_FOUND';
+
+// Import nodes already handled. Imported files are walked once by the nested
+// run of the plugin and again by the importing run.
+const visitedImports = new WeakSet();
+
+// Format a chain of imported files relative to the entry, e.g.
+// `index.less → a.less → b.less`.
+const formatChain = (chain) =>
+    chain.map((file) => relative(dirname(chain[0]), file)).join(' → ');
+
+/**
+ * Creates the error of an import which could not be resolved or read. It
+ * points at the `@import` in the importing file, followed by the imports
+ * which led there.
+ *
+ * @param {object} node - Import node
+ * @param {Error} e - Resolve or read error
+ * @param {string[]} chain - Files from the entry to the importing file
+ * @returns {CssSyntaxError} - error
+ */
+const importError = (node, e, chain) =>
+    node.error(
+        `Unable to import '${parseImportParams(node).uri}': ` +
+            `${e.message.split('\n')[0]}\n` +
+            `Imported from ${formatChain(chain)}`
+    );
+
 // Try removing a node safely, catching and doing nothing if it fails.
 const safeRemove = (node) => {
     try {
@@ -19,7 +190,7 @@ const safeRemove = (node) => {
 // Ensure all imports are scrubbed from the output.
 const removeAllImports = (rootNode) =>
     [...rootNode.nodes].forEach((node) => {
-        if (isImportNode(node)) {
+        if (isImportNode(node) && !isLessImport(node)) {
             const i = rootNode.nodes.indexOf(node);
             rootNode.nodes.splice(i, 1);
 
@@ -34,11 +205,39 @@ const removeAllImports = (rootNode) =>
         }
     });
 
+// Imported nodes are spliced in as is, so they still point at the root of
+// the file they were parsed from and may be shared by several inclusion
+// rules. Adopt them into the tree they ended up in, cloning shared nodes.
+// Clones keep their `source`, which maps them back to the imported file.
+const adoptNodes = (container, seen = new Set()) =>
+    container.nodes.forEach((node, i) => {
+        if (seen.has(node)) {
+            node = node.clone();
+            container.nodes[i] = node;
+        }
+
+        seen.add(node);
+        node.parent = container;
+
+        if (node.nodes) {
+            adoptNodes(node, seen);
+        }
+    });
+
 function ImportPlugin(options = {}) {
+    // Resolve relative, bare and package imports along with the `alias` and
+    // `packages` options, see `lib/resolve`.
     if (!options.resolve) {
-        options.resolve = (uri, base) => join(base, uri);
+        options.resolve = createResolver(options);
     }
 
+    // With a `cache`, see `lib/cache`, imported files are only parsed again
+    // once they change. Without one every build reads and parses them.
+    const loadImport = (fullpath, parse) =>
+        options.cache
+            ? options.cache.load(fullpath, parse)
+            : readFile(fullpath, { encoding: 'utf8' }).then(parse);
+
     return {
         postcssPlugin: 'postcss-import',
 
@@ -46,34 +245,247 @@ function ImportPlugin(options = {}) {
             const { syntax, from } = result.opts;
             const imports = result.opts.imports || new Map();
             const orderedImports = result.opts.orderedImports || [];
+            // Files LESS reads on its own, or optional imports found
+            // missing, which must still be watched.
+            const dependencies = result.opts.dependencies || [];
+            // Files from the entry down to this one, and the result of the
+            // entry which reports warnings.
+            const chain = result.opts.chain || [from];
+            const rootResult = result.opts.rootResult || result;
+            // Conditions of the imports which led to this file, the
+            // outermost first.
+            const conditions = result.opts.conditions || [];
+            // Imported files being read and parsed ahead of the walk, and
+            // the limit on how many at once, shared by the whole build.
+            const loading = result.opts.loading || new Map();
+            const limit =
+                result.opts.limit ||
+                createLimiter(options.concurrency || defaultConcurrency);
+            // Every `@import` found, in order, for the `report` option.
+            const sites = result.opts.sites || [];
             const isRoot = !('nested' in result.opts);
 
+            const parseFile = (fullpath) => (contents) =>
+                (syntax || postcss).parse(contents, { from: fullpath });
+
+            // Start reading and parsing every file a subtree imports, up to
+            // `concurrency` files at once. The walk below still handles the
+            // imports one by one and in order, it only picks up the roots
+            // loaded here, so the output and the messages are the same as
+            // loading them in sequence. Load errors only surface once the
+            // walk gets to the import. Imports the walk skips, circular ones
+            // or those of files already inlined, are not loaded so the cache
+            // only counts the files which are used.
+            const prefetchImports = (styles, importChain) =>
+                styles.walk((node) => {
+                    if (
+                        !isImportNode(node) ||
+                        visitedImports.has(node) ||
+                        isLessImport(node)
+                    ) {
+                        return;
+                    }
+
+                    let fullpath;
+
+                    try {
+                        fullpath = options.resolve(
+                            parseImportParams(node).uri,
+                            dirname(importChain[importChain.length - 1])
+                        );
+                    } catch {
+                        return;
+                    }
+
+                    if (
+                        loading.has(fullpath) ||
+                        importChain.includes(fullpath) ||
+                        (imports.has(fullpath) &&
+                            !getImportOptions(node).has('multiple'))
+                    ) {
+                        return;
+                    }
+
+                    const promise = limit(() =>
+                        loadImport(fullpath, parseFile(fullpath))
+                    );
+
+                    // Handled by the walk, if it ever needs the file.
+                    promise.catch(() => {});
+                    loading.set(fullpath, promise);
+                });
+
+            // Take the root loaded ahead for a file, each is used once.
+            // `(multiple)` imports of a file load it again.
+            const takeImport = (fullpath) => {
+                const promise = loading.get(fullpath);
+                loading.delete(fullpath);
+
+                return (
+                    promise ||
+                    limit(() => loadImport(fullpath, parseFile(fullpath)))
+                );
+            };
+
             // List of dependencies which are imported from non-inclusion
             // rules, and should not be prefixed. Any imports that are only
             // imported by inclusion rules should be prefixed.
 
-            // Discover all imports recursively.
-            const findImports = async (styles, fromPath) =>
-                styles.nodes.reduce(async (promise, styleNode) => {
+            // Discover all imports recursively. Optional imports of missing
+            // files are removed along the way, iterate over a copy.
+            const walkImports = async (
+                styles,
+                importChain,
+                importConditions
+            ) =>
+                [...styles.nodes].reduce(async (promise, styleNode) => {
                     await promise;
 
+                    const fromPath = importChain[importChain.length - 1];
+
                     if (isImportNode(styleNode)) {
+                        if (visitedImports.has(styleNode)) {
+                            return promise;
+                        }
+
+                        visitedImports.add(styleNode);
+
                         const { fromInclusionRule } = styleNode;
-                        const filename = styleNode.filename.replace(/'|"/g, '');
-                        const fullpath = options.resolve(
-                            filename,
-                            dirname(fromPath)
+                        const importOptions = getImportOptions(styleNode);
+                        const unknownOption = [...importOptions].find(
+                            (option) => !knownImportOptions.includes(option)
                         );
 
+                        if (unknownOption) {
+                            throw styleNode.error(
+                                `Unknown import option '${unknownOption}'`
+                            );
+                        }
+
+                        const addSite = (file) =>
+                            sites.push({
+                                file,
+                                importer: fromPath,
+                                line:
+                                    styleNode.source &&
+                                    styleNode.source.start.line,
+                                options: [...importOptions],
+                                inclusionRule: fromInclusionRule,
+                            });
+
+                        // Plain CSS imports are left exactly as written, the
+                        // report lists them under the file they resolve to,
+                        // or as written when they don't, e.g. URLs.
+                        if (importOptions.has('css')) {
+                            const { uri } = parseImportParams(styleNode);
+
+                            try {
+                                addSite(
+                                    options.resolve(uri, dirname(fromPath))
+                                );
+                            } catch {
+                                addSite(uri);
+                            }
+
+                            return promise;
+                        }
+
+                        const {
+                            uri: filename,
+                            conditions: ownConditions,
+                            conditionsText,
+                        } = parseImportParams(styleNode);
+                        let fullpath;
+
+                        try {
+                            fullpath = options.resolve(
+                                filename,
+                                dirname(fromPath)
+                            );
+
+                            if (importOptions.has('optional')) {
+                                await access(fullpath);
+                            }
+                        } catch (e) {
+                            if (
+                                !importOptions.has('optional') ||
+                                !isMissingFile(e)
+                            ) {
+                                throw importError(styleNode, e, importChain);
+                            }
+
+                            // Rebuild once the file is created, bare imports
+                            // which did not resolve name the local files
+                            // they would have used.
+                            const missing = fullpath
+                                ? [fullpath]
+                                : e.candidates || [];
+
+                            missing.forEach((file) =>
+                                dependencies.push({
+                                    type: 'missing-dependency',
+                                    file,
+                                })
+                            );
+
+                            safeRemove(styleNode);
+                            return promise;
+                        }
+
+                        addSite(fullpath);
+
+                        // Reference imports contribute mixins and variables
+                        // but no output, and inline imports are included
+                        // without being parsed. Both are left to LESS, which
+                        // is given the resolved path since the import no
+                        // longer lives next to the file it was written in.
+                        if (isLessImport(styleNode)) {
+                            styleNode.filename = JSON.stringify(fullpath);
+                            styleNode.params =
+                                getOptionsText(styleNode) +
+                                ' ' +
+                                styleNode.filename +
+                                conditionsText;
+                            dependencies.push({
+                                type: 'dependency',
+                                file: fullpath,
+                            });
+
+                            return promise;
+                        }
+
+                        // An import of a file which is still being processed
+                        // would include it in itself, skip it.
+                        if (importChain.includes(fullpath)) {
+                            styleNode.warn(
+                                rootResult,
+                                'Circular import skipped: ' +
+                                    formatChain([...importChain, fullpath])
+                            );
+
+                            return promise;
+                        }
+
+                        const fileConditions = ownConditions
+                            ? [...importConditions, ownConditions]
+                            : importConditions;
+
                         // Disallow duplicate inserts, remove import node if
-                        // found.
-                        if (imports.has(fullpath)) {
+                        // found. `(multiple)` imports are inlined every time.
+                        if (
+                            imports.has(fullpath) &&
+                            !importOptions.has('multiple')
+                        ) {
                             const importOpts = imports.get(fullpath);
 
                             // If there are no inclusion rules, mark this import
                             // as global.
                             if (!fromInclusionRule) {
                                 importOpts.isGloballyImported = true;
+
+                                if (!fileConditions.length) {
+                                    dropConditions(importOpts);
+                                }
                             }
                             // If there is an inclusion rule associated with
                             // the import, make sure it is added to the list of
@@ -82,25 +494,44 @@ function ImportPlugin(options = {}) {
                                 importOpts.inclusionRules.add(
                                     fromInclusionRule
                                 );
+
+                                if (!ownConditions) {
+                                    importOpts.ownConditions = [];
+                                }
                             }
 
                             return promise;
                         }
 
-                        const contents = await readFile(fullpath, {
-                            encoding: 'utf8',
-                        });
+                        let parsed;
+
+                        try {
+                            parsed = await takeImport(fullpath);
+                        } catch (e) {
+                            if (e.name === 'CssSyntaxError') {
+                                throw e;
+                            }
+
+                            throw importError(styleNode, e, importChain);
+                        }
 
                         // Skip common dependencies (reference > 1) when parsing
                         const { root } = await postcss(
                             options.plugins || []
-                        ).process(contents, {
+                        ).process(parsed, {
                             from: fullpath,
                             // Proxy shared variables across modules, these
                             // will show up as `result.opts` as seen above.
                             syntax,
                             imports,
                             orderedImports,
+                            dependencies,
+                            chain: [...importChain, fullpath],
+                            rootResult,
+                            conditions: fileConditions,
+                            loading,
+                            limit,
+                            sites,
                             nested: true,
                         });
 
@@ -109,6 +540,14 @@ function ImportPlugin(options = {}) {
                             styleNode,
                             fullpath,
                             fromPath,
+                            chain: [...importChain, fullpath],
+
+                            // Conditions of this import, and those of every
+                            // import which led to it. Hoisted nodes need all
+                            // of them, nodes placed in an inclusion rule are
+                            // already within the blocks of the importing file.
+                            conditions: fileConditions,
+                            ownConditions: ownConditions ? [ownConditions] : [],
 
                             // Determine if this module has been globally
                             // imported. This will allow skipping prefixing.
@@ -126,20 +565,63 @@ function ImportPlugin(options = {}) {
                         // The imports object is treated as a way to easily
                         // access an entry and shortcircuit when already
                         // processed.
-                        imports.set(fullpath, importOpts);
+                        if (!imports.has(fullpath)) {
+                            imports.set(fullpath, importOpts);
+                        }
                         orderedImports.push(importOpts);
 
                         // Find nested imports.
-                        await findImports(root, fullpath);
+                        await findImports(
+                            root,
+                            [...importChain, fullpath],
+                            fileConditions
+                        );
                     } else if (styleNode.nodes) {
-                        await findImports(styleNode, fromPath);
+                        await walkImports(
+                            styleNode,
+                            importChain,
+                            importConditions
+                        );
                     }
 
                     return Promise.resolve();
                 }, Promise.resolve());
 
+            // An unconditional import of a file first imported with
+            // conditions wins, the file and everything it imports are then
+            // emitted without the blocks of that first import. Those are the
+            // imports below it in the chain, with conditions passed down
+            // from it, which start with the very same condition objects.
+            const dropConditions = ({ chain: fileChain, conditions }) => {
+                if (!conditions.length) {
+                    return;
+                }
+
+                orderedImports.forEach((importOpts) => {
+                    if (
+                        fileChain.every(
+                            (file, i) => importOpts.chain[i] === file
+                        ) &&
+                        conditions.every(
+                            (condition, i) =>
+                                importOpts.conditions[i] === condition
+                        )
+                    ) {
+                        importOpts.conditions = importOpts.conditions.slice(
+                            conditions.length
+                        );
+                    }
+                });
+            };
+
+            const findImports = (styles, importChain, importConditions) => {
+                prefetchImports(styles, importChain);
+
+                return walkImports(styles, importChain, importConditions);
+            };
+
             // Start off recursive search for all imports.
-            await findImports(rootStyles, from);
+            await findImports(rootStyles, chain, conditions);
 
             // Only do final processing if in the root entry point. Otherwise
             // we will scrub imports and do processing too early before knowing
@@ -148,7 +630,19 @@ function ImportPlugin(options = {}) {
                 return;
             }
 
+            result.messages.push(...dependencies);
+
             const sharedDependencies = [];
+            // Where the nodes of each imported file were injected, and their
+            // size, for the `report` option.
+            const placements = [];
+            const addPlacement = (file, target, nodes) =>
+                options.report &&
+                placements.push({
+                    file,
+                    target,
+                    bytes: byteSize(nodes, syntax),
+                });
 
             // Merge imports with contents.
             orderedImports.forEach(
@@ -160,6 +654,8 @@ function ImportPlugin(options = {}) {
                         styleNode,
                         fullpath,
                         fromPath,
+                        conditions: importConditions,
+                        ownConditions,
                     },
                     i
                 ) => {
@@ -211,7 +707,15 @@ function ImportPlugin(options = {}) {
 
                     // Inject the nodes for the import globally if needed everywhere.
                     if (isGloballyImported) {
-                        sharedDependencies.push(...root.nodes);
+                        const nodes = wrapInConditions(
+                            postcss,
+                            root.nodes,
+                            importConditions,
+                            styleNode.source
+                        );
+
+                        sharedDependencies.push(...nodes);
+                        addPlacement(fullpath, 'global', nodes);
                     }
                     // Otherwise scope the imports to the respective inclusion
                     // rules. We must first find the import location within the
@@ -278,47 +782,50 @@ function ImportPlugin(options = {}) {
                             // where the import was (essentially a replaceWith
                             // operation).
                             if (foundRule) {
-                                let foundImport = false;
-
-                                // Loop through all nodes and find where the
-                                // import matches and replace with the new
-                                // contents.
-                                [...foundRule.nodes].forEach((node) => {
-                                    if (isImportNode(node)) {
-                                        // Create a fullpath to compare to.
-                                        const filename = node.filename.replace(
-                                            /'|"/g,
-                                            ''
-                                        );
-                                        const fullpathCompare = options.resolve(
-                                            filename,
-                                            dirname(fromPath)
-                                        );
-
-                                        // This is the import to replace.
-                                        if (fullpathCompare === fullpath) {
-                                            foundImport = true;
-
-                                            const compareIndex = foundRule.nodes.indexOf(
-                                                node
-                                            );
-                                            foundRule.nodes.splice(
-                                                compareIndex,
-                                                1,
-                                                ...root.nodes
-                                            );
-                                        }
-                                    }
-                                });
-
-                                if (!foundImport) {
-                                    throw new Error(
+                                const isSameImport = (node) =>
+                                    isImportNode(node) &&
+                                    !isLessImport(node) &&
+                                    options.resolve(
+                                        parseImportParams(node).uri,
+                                        dirname(fromPath)
+                                    ) === fullpath;
+
+                                // Replace the import this entry was created
+                                // for, or else the first import of the same
+                                // file still in place, so repeated
+                                // `(multiple)` imports each take their own.
+                                const importNode = foundRule.nodes.includes(
+                                    styleNode
+                                )
+                                    ? styleNode
+                                    : foundRule.nodes.find(isSameImport);
+
+                                if (!importNode) {
+                                    throw styleNode.error(
                                         'Unable to inject inclusion import, missing @import ' +
                                             fullpath
                                     );
                                 }
+
+                                const nodes = wrapInConditions(
+                                    postcss,
+                                    root.nodes,
+                                    ownConditions,
+                                    styleNode.source
+                                );
+
+                                foundRule.nodes.splice(
+                                    foundRule.nodes.indexOf(importNode),
+                                    1,
+                                    ...nodes
+                                );
+                                addPlacement(
+                                    fullpath,
+                                    foundRule.selector,
+                                    nodes
+                                );
                             } else {
-                                throw new Error(
+                                throw styleNode.error(
                                     'Missing inclusion rule selector ' + rule
                                 );
                             }
@@ -343,10 +850,34 @@ function ImportPlugin(options = {}) {
 
             // Ensure all imports are scrubbed from the final output.
             removeAllImports(rootStyles);
+
+            adoptNodes(rootStyles);
+
+            // Write the import graph next to the stylesheet, webpack's
+            // postcss-loader emits `asset` messages as files.
+            if (options.report) {
+                const report = createReport({ entry: from, sites, placements });
+                const { filename = (file) => `${basename(file)}.imports` } =
+                    options.report;
+
+                result.messages.push(
+                    {
+                        type: 'asset',
+                        file: `${filename(from)}.json`,
+                        content: JSON.stringify(report, null, 2) + '\n',
+                    },
+                    {
+                        type: 'asset',
+                        file: `${filename(from)}.html`,
+                        content: renderReport(report),
+                    }
+                );
+            }
         },
     };
 }
 
 ImportPlugin.postcss = true;
+ImportPlugin.createCache = createImportCache;
 
 module.exports = ImportPlugin;
@@ -0,0 +1,68 @@
+'use strict';
+
+const { createHash } = require('crypto');
+const { readFile, stat } = require('fs').promises;
+
+const hashOf = (contents) => createHash('sha1').update(contents).digest('hex');
+
+/**
+ * Creates a cache of parsed imports, meant to live as long as a watcher so
+ * rebuilds only parse the files which changed. Entries are keyed on the
+ * resolved path and checked against the modification time and size of the
+ * file, then its content hash, so touching a file without changing it
+ * doesn't parse it again.
+ *
+ * @returns {object} - cache, see `load` and `stats`
+ */
+function createImportCache() {
+    const entries = new Map();
+    const counts = { hits: 0, misses: 0 };
+
+    return {
+        /**
+         * Loads the parsed root of a file. Every call returns a clone, the
+         * import merging splices nodes around and must never reach the
+         * cached root.
+         *
+         * @param {string} file - Resolved path
+         * @param {function(string): object} parse - Parses the contents
+         * @returns {Promise<object>} - root
+         */
+        async load(file, parse) {
+            const cached = entries.get(file);
+            const { mtimeMs, size } = await stat(file);
+
+            if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+                counts.hits++;
+                return cached.root.clone();
+            }
+
+            const contents = await readFile(file, { encoding: 'utf8' });
+            const hash = hashOf(contents);
+
+            if (cached && cached.hash === hash) {
+                counts.hits++;
+                entries.set(file, { ...cached, mtimeMs, size });
+                return cached.root.clone();
+            }
+
+            counts.misses++;
+
+            const root = parse(contents);
+            entries.set(file, { root, hash, mtimeMs, size });
+
+            return root.clone();
+        },
+
+        /**
+         * Counts of lookups since the cache was created.
+         *
+         * @returns {object} - `{ files, hits, misses }`
+         */
+        stats() {
+            return { files: entries.size, ...counts };
+        },
+    };
+}
+
+module.exports = { createImportCache };
@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Creates a limiter running at most `concurrency` tasks at once, the rest
+ * wait in the order they were queued.
+ *
+ * @param {number} concurrency - Tasks allowed to run at once
+ * @returns {function(function(): Promise): Promise} - runs a task once a slot
+ * is free, resolving with its result
+ */
+function createLimiter(concurrency) {
+    const queue = [];
+    let active = 0;
+
+    const next = () => {
+        // Always allow one task, a limit below that would never run any.
+        if (active >= Math.max(1, concurrency) || !queue.length) {
+            return;
+        }
+
+        const { task, resolve, reject } = queue.shift();
+        active++;
+
+        Promise.resolve()
+            .then(task)
+            .then(resolve, reject)
+            .finally(() => {
+                active--;
+                next();
+            });
+    };
+
+    return (task) =>
+        new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            next();
+        });
+}
+
+module.exports = { createLimiter };
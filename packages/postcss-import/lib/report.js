@@ -0,0 +1,159 @@
+'use strict';
+
+const { isAbsolute, relative } = require('path');
+const { escapeHtml, formatSize } = require('webpack-config/helpers');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Builds the import graph report of an entry stylesheet.
+ *
+ * Each imported file lists the `@import`s which reference it, where its nodes
+ * ended up and their size. A file is `global` when its nodes were hoisted to
+ * the top of the entry, `scoped` when they were only injected into inclusion
+ * rules, `less` when LESS handles the import itself, e.g. `(reference)`, and
+ * `skipped` when none of its imports was inlined, e.g. a circular import.
+ *
+ * @param {object} graph - Collected by the plugin
+ * @param {string} graph.entry - Path of the entry stylesheet
+ * @param {object[]} graph.sites - `{ file, importer, line, options,
+ * inclusionRule }` per `@import`, in the order they were found, `file` being
+ * the URL of a `(css)` import which doesn't resolve
+ * @param {object[]} graph.placements - `{ file, target, bytes }` per copy of
+ * a file, `target` being `global` or the selector it was injected into
+ * @param {string} [context] - Directory paths are relative to
+ * @returns {object} - report
+ */
+function createReport({ entry, sites, placements }, context = process.cwd()) {
+    const toPath = (file) =>
+        isAbsolute(file) ? relative(context, file) : file;
+    const files = [...new Set(sites.map(({ file }) => file))];
+
+    const report = files.map((file) => {
+        const importedBy = sites.filter((site) => site.file === file);
+        const copies = placements.filter((p) => p.file === file);
+        const isLessImport = importedBy.some(({ options }) =>
+            options.some((option) =>
+                ['reference', 'inline', 'css'].includes(option)
+            )
+        );
+
+        let scope = 'skipped';
+
+        if (copies.some(({ target }) => target === 'global')) {
+            scope = 'global';
+        } else if (copies.length) {
+            scope = 'scoped';
+        } else if (isLessImport) {
+            scope = 'less';
+        }
+
+        return {
+            file: toPath(file),
+            scope,
+            importedBy: importedBy.map(
+                ({ importer, line, options, inclusionRule }) => ({
+                    file: toPath(importer),
+                    line,
+                    options,
+                    inclusionRule: inclusionRule || null,
+                })
+            ),
+            inclusionRules: [
+                ...new Set(
+                    copies
+                        .filter(({ target }) => target !== 'global')
+                        .map(({ target }) => target)
+                ),
+            ],
+            placements: copies.map(({ target, bytes }) => ({ target, bytes })),
+            copies: copies.length,
+            duplicates: Math.max(0, copies.length - 1),
+            bytes: sum(copies.map(({ bytes }) => bytes)),
+        };
+    });
+
+    return {
+        entry: toPath(entry),
+        files: report,
+        totals: {
+            files: report.length,
+            copies: sum(report.map(({ copies }) => copies)),
+            duplicates: sum(report.map(({ duplicates }) => duplicates)),
+            bytes: sum(report.map(({ bytes }) => bytes)),
+        },
+    };
+}
+
+const renderRow = (tag, cells, attributes = '') =>
+    `<tr${attributes}>` +
+    cells.map((cell) => `<${tag}>${cell}</${tag}>`).join('') +
+    '</tr>';
+
+/**
+ * Renders a report as a standalone HTML page, one row per imported file.
+ *
+ * @param {object} report - Report, see `createReport`
+ * @returns {string} - HTML
+ */
+function renderReport(report) {
+    const { entry, files, totals } = report;
+
+    return (
+        '<!doctype html>\n' +
+        '<meta charset="utf-8">\n' +
+        `<title>Imports of ${escapeHtml(entry)}</title>\n` +
+        '<style>\n' +
+        'body { font: 14px sans-serif; margin: 2em; }\n' +
+        'table { border-collapse: collapse; }\n' +
+        'th, td { border: 1px solid #ccc; padding: 4px 8px; ' +
+        'text-align: left; vertical-align: top; }\n' +
+        '.duplicated { background: #fff3cd; }\n' +
+        '</style>\n' +
+        `<h1>Imports of ${escapeHtml(entry)}</h1>\n` +
+        `<p>${totals.files} files, ${totals.copies} copies ` +
+        `(${totals.duplicates} duplicated), ${formatSize(totals.bytes)}</p>\n` +
+        '<table>\n' +
+        renderRow('th', [
+            'File',
+            'Imported by',
+            'Scope',
+            'Placements',
+            'Copies',
+            'Size',
+        ]) +
+        '\n' +
+        files
+            .map((file) =>
+                renderRow(
+                    'td',
+                    [
+                        escapeHtml(file.file),
+                        file.importedBy
+                            .map(
+                                ({ file: importer, line, options }) =>
+                                    escapeHtml(`${importer}:${line}`) +
+                                    (options.length
+                                        ? ` (${escapeHtml(options.join(', '))})`
+                                        : '')
+                            )
+                            .join('<br>'),
+                        escapeHtml(file.scope),
+                        file.placements
+                            .map(
+                                ({ target, bytes }) =>
+                                    `${escapeHtml(target)}: ${formatSize(bytes)}`
+                            )
+                            .join('<br>'),
+                        file.copies,
+                        formatSize(file.bytes),
+                    ],
+                    file.duplicates ? ' class="duplicated"' : ''
+                )
+            )
+            .join('\n') +
+        '\n</table>\n'
+    );
+}
+
+module.exports = { createReport, renderReport };
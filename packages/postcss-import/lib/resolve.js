@@ -0,0 +1,244 @@
+'use strict';
+
+const { dirname, extname, isAbsolute, join, resolve } = require('path');
+const fs = require('fs');
+const resolvePackage = require('resolve');
+
+// Conditions of the `exports` field a stylesheet import can use, in order of
+// preference, along with the equivalent top level fields.
+const styleConditions = ['less', 'style', 'default'];
+const styleFields = ['less', 'style'];
+
+const isRelative = (uri) => /^\.\.?(\/|$)/.test(uri);
+
+// Split `@scope/name/sub/path` into the package name and `./sub/path`.
+const parseSpecifier = (uri) => {
+    const parts = uri.split('/');
+    const nameLength = uri[0] === '@' ? 2 : 1;
+
+    return {
+        name: parts.slice(0, nameLength).join('/'),
+        subpath: ['.', ...parts.slice(nameLength)].join('/'),
+    };
+};
+
+// Package names as npm allows them, without a stylesheet extension which
+// rather points at a local file, e.g. `colors.less`.
+const looksLikePackage = (name) =>
+    /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/.test(name) &&
+    !/\.(less|css)$/.test(name);
+
+// `candidates` are the local files which would have been used, so callers
+// can watch for them to be created.
+const notFound = (message, candidates = []) =>
+    Object.assign(new Error(message), {
+        code: 'MODULE_NOT_FOUND',
+        candidates,
+    });
+
+// LESS appends `.less` to imports without an extension.
+const withExtension = (file) =>
+    !fs.existsSync(file) && !extname(file) && fs.existsSync(`${file}.less`)
+        ? `${file}.less`
+        : file;
+
+// Pick the first target of a conditional export the conditions allow, in the
+// order the package lists them.
+const pickTarget = (target, conditions) => {
+    if (typeof target === 'string' || target === null) {
+        return target;
+    }
+
+    if (Array.isArray(target)) {
+        return target
+            .map((t) => pickTarget(t, conditions))
+            .find((t) => typeof t === 'string');
+    }
+
+    const condition = Object.keys(target).find(
+        (key) =>
+            conditions.includes(key) &&
+            pickTarget(target[key], conditions) !== undefined
+    );
+
+    return condition && pickTarget(target[condition], conditions);
+};
+
+/**
+ * Resolves a subpath through the `exports` field of a package, including
+ * `*` patterns.
+ *
+ * @param {string|object|Array} exportsField - `exports` of the package
+ * @param {string} subpath - e.g. `.` or `./theme.less`
+ * @param {string[]} conditions - Conditions to match
+ * @returns {string|undefined} - target relative to the package, undefined
+ * when the subpath is not exported
+ */
+function resolveExports(exportsField, subpath, conditions) {
+    // A string, array or object of conditions only exports the main entry.
+    const exportsMap =
+        typeof exportsField === 'object' &&
+        !Array.isArray(exportsField) &&
+        Object.keys(exportsField).some((key) => key[0] === '.')
+            ? exportsField
+            : { '.': exportsField };
+
+    if (subpath in exportsMap) {
+        return pickTarget(exportsMap[subpath], conditions) || undefined;
+    }
+
+    // The longest matching pattern wins.
+    const pattern = Object.keys(exportsMap)
+        .filter((key) => {
+            const [prefix, suffix] = key.split('*');
+            return (
+                suffix !== undefined &&
+                subpath.startsWith(prefix) &&
+                subpath.endsWith(suffix) &&
+                subpath.length >= key.length - 1
+            );
+        })
+        .sort((a, b) => b.length - a.length)[0];
+
+    if (!pattern) {
+        return;
+    }
+
+    const [prefix, suffix] = pattern.split('*');
+    const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+    const target = pickTarget(exportsMap[pattern], conditions);
+
+    return target ? target.replace(/\*/g, match) : undefined;
+}
+
+/**
+ * Creates the resolver of `@import` specifiers. Relative and absolute paths
+ * are resolved from the importing file, as are bare paths such as
+ * `partials/grid.less` when such a file exists, LESS style. Anything else,
+ * and every specifier starting with `~`, is a package import. Bare paths
+ * found in neither place fail with the paths which were tried.
+ *
+ * Packages are looked up in `packages` first, then in `node_modules`. The
+ * main stylesheet comes from the `less` or `style` conditions of `exports`,
+ * then the `less` or `style` fields and finally the regular main entry.
+ * Subpaths go through `exports` when the package has it.
+ *
+ * @param {object} [options] - Options
+ * @param {object} [options.alias] - Specifier prefixes mapped to a path or
+ * another specifier, e.g. `{ theme: '/abs/path/to/theme' }`
+ * @param {object} [options.packages] - Package names mapped to their
+ * directory, e.g. workspace packages which should resolve to their sources
+ * @returns {function(string, string): string} - resolver taking the
+ * specifier and the directory of the importing file
+ */
+function createResolver({ alias = {}, packages = {} } = {}) {
+    // Longest first so `theme/dark` wins over `theme`.
+    const aliases = Object.keys(alias).sort((a, b) => b.length - a.length);
+
+    // Undefined when the package is not installed.
+    const findPackageRoot = (name, base) => {
+        if (packages[name]) {
+            return packages[name];
+        }
+
+        try {
+            return dirname(
+                resolvePackage.sync(`${name}/package.json`, { basedir: base })
+            );
+        } catch {
+            return undefined;
+        }
+    };
+
+    const resolveFromPackage = (uri, base) => {
+        const { name, subpath } = parseSpecifier(uri);
+        const root = findPackageRoot(name, base);
+
+        if (!root) {
+            throw notFound(`Can't resolve package '${name}' from ${base}`);
+        }
+
+        const pkg = JSON.parse(
+            fs.readFileSync(join(root, 'package.json'), 'utf8')
+        );
+
+        if (pkg.exports !== undefined) {
+            const target = resolveExports(
+                pkg.exports,
+                subpath,
+                styleConditions
+            );
+
+            if (!target) {
+                throw notFound(
+                    `Package subpath '${subpath}' is not exported by '${name}'`
+                );
+            }
+
+            return withExtension(join(root, target));
+        }
+
+        if (subpath !== '.') {
+            return withExtension(join(root, subpath));
+        }
+
+        const field = styleFields.find((key) => pkg[key]);
+
+        if (field) {
+            return join(root, pkg[field]);
+        }
+
+        try {
+            return resolvePackage.sync(root);
+        } catch {
+            throw notFound(`Package '${name}' has no stylesheet entry`);
+        }
+    };
+
+    const resolveSpecifier = (uri, base) => {
+        if (uri[0] === '~') {
+            return resolveFromPackage(uri.slice(1), base);
+        }
+
+        if (isRelative(uri) || isAbsolute(uri)) {
+            return withExtension(resolve(base, uri));
+        }
+
+        const local = withExtension(resolve(base, uri));
+
+        if (fs.existsSync(local)) {
+            return local;
+        }
+
+        const { name } = parseSpecifier(uri);
+
+        if (findPackageRoot(name, base)) {
+            return resolveFromPackage(uri, base);
+        }
+
+        const candidates = extname(local) ? [local] : [local, `${local}.less`];
+
+        throw notFound(
+            `Can't resolve '${uri}' from ${base}, tried ` +
+                candidates.join(', ') +
+                (looksLikePackage(name) ? ` and package '${name}'` : ''),
+            candidates
+        );
+    };
+
+    // Aliases apply once, with or without `~`, an alias pointing at a
+    // specifier does not go through the aliases again.
+    return (uri, base) => {
+        const request = uri.replace(/^~/, '');
+        const aliased = aliases.find(
+            (key) => request === key || request.startsWith(`${key}/`)
+        );
+
+        return resolveSpecifier(
+            aliased ? alias[aliased] + request.slice(aliased.length) : uri,
+            base
+        );
+    };
+}
+
+module.exports = { createResolver };
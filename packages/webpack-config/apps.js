@@ -0,0 +1,177 @@
+const path = require('path');
+const fs = require('fs');
+const glob = require('glob');
+
+// Name of the optional per-app module declaring paths and entry points. Apps
+// may instead declare the same data, minus functions, under the `webpack`
+// field of their package.json. Setting `discoverEntries` adds the pages found
+// by convention to the declared entry points, see `discoverEntryPoints`, and
+// `budgets` limits the size of each entry, see `SizeBudgetPlugin`.
+const APP_CONFIG_FILE = 'webpack.app.js';
+
+// Paths relative to the app directory, used when an app does not declare
+// them.
+const defaultPaths = {
+    srcRoot: 'src',
+    srcCss: 'src/css',
+    srcJs: 'src/js',
+    generatedRoot: 'dist',
+    htmlTemplate: 'src/index.html',
+};
+
+// Options of `discoverEntries`. Pages are looked up in `dir` under srcJs,
+// each paired with the LESS file of the same name under srcCss.
+const defaultDiscovery = {
+    dir: 'pages',
+    extensions: ['.js', '.jsx', '.ts', '.tsx'],
+};
+
+// Webpack requires paths to start with './', so force a local path
+const forceLocalPath = (assetPath) =>
+    assetPath[0] !== '.' && assetPath[0] !== '/' ? './' + assetPath : assetPath;
+
+/**
+ * Reads an app declaration, preferring the app config module over the
+ * package.json field.
+ *
+ * @param {string} appRoot - Absolute path to the app directory
+ * @returns {object|undefined} - declaration or undefined if not a webpack app
+ */
+function readDeclaration(appRoot) {
+    const configPath = path.join(appRoot, APP_CONFIG_FILE);
+
+    if (fs.existsSync(configPath)) {
+        return require(configPath);
+    }
+
+    const pkgPath = path.join(appRoot, 'package.json');
+
+    if (fs.existsSync(pkgPath)) {
+        return require(pkgPath).webpack;
+    }
+}
+
+/**
+ * Finds page entries by convention, e.g. `pages/about.js` in srcJs paired
+ * with `pages/about.less` in srcCss. Pages without a stylesheet get no CSS
+ * entry.
+ *
+ * @param {string} cwd - Repository root
+ * @param {object} paths - Resolved app paths
+ * @param {boolean|object} options - `true` or overrides of the defaults
+ * @returns {Array[]} - entry points, in the `[[js], [css]]` shape
+ */
+function discoverEntryPoints(cwd, paths, options) {
+    const { dir, extensions } = {
+        ...defaultDiscovery,
+        ...(options === true ? {} : options),
+    };
+    const jsRoot = path.resolve(cwd, paths.srcJs);
+    const cssRoot = path.resolve(cwd, paths.srcCss);
+
+    return glob
+        .sync(`${dir}/**/*`, { cwd: jsRoot, nodir: true })
+        .filter((file) => extensions.includes(path.extname(file)))
+        .sort()
+        .map((file) => {
+            const { dir: pageDir, name } = path.posix.parse(file);
+            const stylesheet = path.posix.join(pageDir, `${name}.less`);
+
+            return [
+                [file],
+                fs.existsSync(path.join(cssRoot, stylesheet))
+                    ? [stylesheet]
+                    : [],
+            ];
+        });
+}
+
+// Explicit entry points replace discovered ones with the same first JS entry,
+// the rest follow the explicit ones.
+const mergeEntryPoints = (explicit, discovered) => [
+    ...explicit,
+    ...discovered.filter(
+        ([[js]]) => !explicit.some(([[explicitJs]]) => explicitJs === js)
+    ),
+];
+
+/**
+ * Discovers every app under `apps/*` which declares its paths and entry
+ * points. Paths are resolved so they can be used from the repository root,
+ * absolute for `srcRoot`, `generatedRoot` and `htmlTemplate`, and local
+ * paths for the webpack entries in `srcCss` and `srcJs`.
+ *
+ * @param {string} cwd - Repository root
+ * @returns {object} - apps keyed by name
+ */
+exports.discoverApps = (cwd = process.cwd()) =>
+    glob
+        .sync('apps/*/', { cwd })
+        .sort()
+        .reduce((apps, appDir) => {
+            const appRoot = path.resolve(cwd, appDir);
+            const declaration = readDeclaration(appRoot);
+
+            if (!declaration) {
+                return apps;
+            }
+
+            const name = path.basename(appRoot);
+            const declaredPaths = { ...defaultPaths, ...declaration.paths };
+            const resolve = (p) => path.resolve(appRoot, p);
+            const local = (p) =>
+                forceLocalPath(path.relative(cwd, resolve(p)) || '.');
+
+            const paths = {
+                ...declaredPaths,
+                srcRoot: resolve(declaredPaths.srcRoot),
+                srcCss: local(declaredPaths.srcCss),
+                srcJs: local(declaredPaths.srcJs),
+                generatedRoot: resolve(declaredPaths.generatedRoot),
+                // The template is optional, fall back to the default
+                // template when missing.
+                htmlTemplate: fs.existsSync(resolve(declaredPaths.htmlTemplate))
+                    ? resolve(declaredPaths.htmlTemplate)
+                    : undefined,
+            };
+
+            // Allow the entry points to be declared as a plain array, which
+            // is the only option from package.json.
+            const declared = declaration.applicationData || {
+                getEntryPoints: () => ({
+                    entryPoints: declaration.entryPoints || [],
+                }),
+            };
+
+            // Opt-in, pages are scanned every time the entry points are
+            // read so new pages are picked up on the next build.
+            const applicationData = declaration.discoverEntries
+                ? {
+                      ...declared,
+                      getEntryPoints: (...args) => {
+                          const result = declared.getEntryPoints(...args);
+
+                          return {
+                              ...result,
+                              entryPoints: mergeEntryPoints(
+                                  result.entryPoints,
+                                  discoverEntryPoints(
+                                      cwd,
+                                      paths,
+                                      declaration.discoverEntries
+                                  )
+                              ),
+                          };
+                      },
+                  }
+                : declared;
+
+            apps[name] = {
+                root: appRoot,
+                paths,
+                applicationData,
+                budgets: declaration.budgets || {},
+            };
+
+            return apps;
+        }, {});
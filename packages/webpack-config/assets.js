@@ -0,0 +1,103 @@
+const path = require('path');
+const fs = require('fs');
+const glob = require('glob');
+
+/**
+ * Reads every manifest emitted into the webpack output path. Builds write a
+ * manifest per entry, next to its first JS entry, e.g.
+ * `pages/about.js.manifest.json` for a discovered page, while
+ * webpack-dev-server combines all entries into a single compilation and
+ * therefore a single manifest.
+ *
+ * @param {string} outputPath - Directory webpack emits into
+ * @returns {object[]} - parsed manifests
+ */
+function readManifests(outputPath) {
+    return glob
+        .sync(path.join(outputPath, '**', '*.manifest.json'))
+        .map((manifestPath) =>
+            JSON.parse(fs.readFileSync(manifestPath, { encoding: 'utf8' }))
+        );
+}
+
+/**
+ * Creates a resolver which maps entry names to the (possibly hashed) files
+ * webpack emitted for them. Manifests are read from disk on every lookup so
+ * rebuilds from watch mode or webpack-dev-server are picked up.
+ *
+ * @param {object} props - Configuration scoped to an app, see `props.forApp`
+ * @param {object} options - Optional arguments
+ * @param {string} options.publicPath - Prefix for returned URLs, defaults to
+ * the configured `paths.publicPath`
+ * @returns {object} - resolver API
+ */
+exports.createAssetResolver = (props, { publicPath } = {}) => {
+    const paths = props.get('paths');
+    const outputPath = path.resolve(paths.generatedRoot, 'webpack');
+    const base =
+        publicPath === undefined ? paths.publicPath || '' : publicPath;
+
+    const toUrl = (file) =>
+        base && !base.endsWith('/') ? `${base}/${file}` : `${base}${file}`;
+
+    /**
+     * Finds the manifest entry point data for a given entry.
+     *
+     * @param {string} entry - Entry name, e.g. `index.js`
+     * @returns {object} - manifest and entry point data
+     */
+    function getEntry(entry) {
+        const manifest = readManifests(outputPath).find(
+            ({ entrypoints }) => entrypoints && entry in entrypoints
+        );
+
+        if (!manifest) {
+            throw new Error(
+                `Unable to find a manifest for entry '${entry}' in ${outputPath}, has it been built?`
+            );
+        }
+
+        return { manifest, entrypoint: manifest.entrypoints[entry] };
+    }
+
+    /**
+     * Resolves all URLs for an entry of the given type. The type is either
+     * `js`, `css`, `rtl` or a file name as seen in the manifest, such as
+     * `index.less` or an async chunk name.
+     *
+     * @param {string} entry - Entry name, e.g. `index.js`
+     * @param {string} type - `js`, `css`, `rtl` or a manifest file name
+     * @returns {string[]} - list of URLs
+     */
+    function resolveAssets(entry, type) {
+        const { manifest, entrypoint } = getEntry(entry);
+
+        if (type === 'js' || type === 'css' || type === 'rtl') {
+            return entrypoint[type].map(toUrl);
+        }
+
+        if (type in manifest.files) {
+            return [toUrl(manifest.files[type])];
+        }
+
+        return [];
+    }
+
+    // Public API
+    return {
+        getManifest(entry) {
+            return getEntry(entry).manifest;
+        },
+        resolveAssets,
+        /**
+         * Resolves the primary URL for an entry of the given type.
+         *
+         * @param {string} entry - Entry name, e.g. `index.js`
+         * @param {string} type - `js`, `css`, `rtl` or a manifest file name
+         * @returns {string|undefined} - URL of the asset
+         */
+        resolveAsset(entry, type) {
+            return resolveAssets(entry, type)[0];
+        },
+    };
+};
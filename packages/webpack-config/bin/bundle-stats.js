@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+const gutil = require('gulp-util');
+const fs = require('fs');
+const path = require('path');
+const {
+    describeEntries,
+    resolveEntryTargets,
+} = require('../entry-targets');
+const {
+    thresholdNames,
+    statsFileOf,
+    baselineFileOf,
+    readSummary,
+    compareEntry,
+    checkThresholds,
+    formatText,
+    formatMarkdown,
+} = require('../bundle-stats-baseline');
+const { didYouMean } = require('../did-you-mean');
+const { parseCommandLine } = require('../helpers');
+
+const usage = `Usage: webpack-bundle-stats <save|compare> [options] [targets...]
+
+Saves the bundle stats of the last build as the baseline, or compares them
+with it. Stats are written by builds with \`webpack.bundle.stats\` on, e.g.
+WEBPACK_BUNDLE_STATS=1 npm run build:prod. Targets select entries the same
+way as ENTRY_TARGET, every entry with stats by default.
+
+Commands:
+  save                       Save the current stats as the baseline
+  compare                    Report asset size changes, added and removed
+                             modules, duplicate packages and chunk counts,
+                             exiting with 1 when a threshold is crossed
+
+Options:
+  --format <text|markdown>   Format of the comparison (default: text)
+  --threshold <name>=<value> Override a configured threshold
+  --baseline <dir>           Where the baseline is kept
+                             (default: tmp/bundle-stats-baseline)
+  --cwd <dir>                Directory containing website.build.js
+                             (default: current directory)
+  --help                     Show this message
+
+Thresholds, configured under \`webpack.bundle.stats.thresholds\`, apply to
+entries with a baseline:
+  sizeIncrease               Bytes the assets of an entry may grow by
+  sizeIncreasePercent        Percentage the assets of an entry may grow by
+  addedModules               Modules an entry may add
+  addedDuplicatePackages     Duplicate packages an entry may add
+  chunkCountIncrease         Chunks an entry may add
+`;
+
+const formats = { text: formatText, markdown: formatMarkdown };
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} argv - Arguments without the node and script path
+ * @returns {object} - options
+ */
+function parseArgs(argv) {
+    const options = {
+        command: undefined,
+        targets: [],
+        format: 'text',
+        thresholds: {},
+        baseline: undefined,
+        cwd: process.cwd(),
+        help: false,
+    };
+
+    const help = () => {
+        options.help = true;
+    };
+
+    parseCommandLine(
+        argv,
+        {
+            '--format': (takeValue) => {
+                options.format = takeValue();
+
+                if (!(options.format in formats)) {
+                    throw new Error(
+                        `Unknown format '${options.format}'` +
+                            didYouMean(options.format, Object.keys(formats))
+                    );
+                }
+            },
+            '--threshold': (takeValue) => {
+                const [name, value] = takeValue().split('=');
+
+                if (!thresholdNames.includes(name)) {
+                    throw new Error(
+                        `Unknown threshold '${name}'` +
+                            didYouMean(name, thresholdNames)
+                    );
+                }
+
+                if (value === undefined || isNaN(Number(value))) {
+                    throw new Error(
+                        `Invalid value for threshold '${name}', expected a ` +
+                            'number'
+                    );
+                }
+
+                options.thresholds[name] = Number(value);
+            },
+            '--baseline': (takeValue) => {
+                options.baseline = path.resolve(takeValue());
+            },
+            '--cwd': (takeValue) => {
+                options.cwd = path.resolve(takeValue());
+            },
+            '--help': help,
+            '-h': help,
+        },
+        (argument) => {
+            if (options.command === undefined) {
+                options.command = argument;
+            } else {
+                options.targets.push(argument);
+            }
+        }
+    );
+
+    if (!options.help && !['save', 'compare'].includes(options.command)) {
+        throw new Error(
+            options.command
+                ? `Unknown command '${options.command}'` +
+                      didYouMean(options.command, ['save', 'compare'])
+                : 'Missing command'
+        );
+    }
+
+    return options;
+}
+
+async function main() {
+    let options;
+
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        gutil.log(gutil.colors.red(e.message));
+        process.stderr.write(usage);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        process.stdout.write(usage);
+        return;
+    }
+
+    const { websiteBuild } = require(path.join(options.cwd, 'website.build'));
+    const props = await websiteBuild.getBuildConfig();
+    const baselineDir =
+        options.baseline ||
+        path.join(options.cwd, 'tmp', 'bundle-stats-baseline');
+    const entries = describeEntries(props);
+    const selected = options.targets.length
+        ? resolveEntryTargets(entries, options.targets)
+        : entries.filter((entry) => fs.existsSync(statsFileOf(props, entry)));
+
+    selected.forEach((entry) => {
+        if (!fs.existsSync(statsFileOf(props, entry))) {
+            throw new Error(
+                `No bundle stats for ${entry.target}, build it with ` +
+                    '`webpack.bundle.stats` on first'
+            );
+        }
+    });
+
+    if (!selected.length) {
+        throw new Error(
+            'No bundle stats found, build with `webpack.bundle.stats` on first'
+        );
+    }
+
+    if (options.command === 'save') {
+        selected.forEach((entry) => {
+            const file = baselineFileOf(baselineDir, entry);
+
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.copyFileSync(statsFileOf(props, entry), file);
+        });
+
+        gutil.log(
+            `Saved the baseline of ${selected.length} ` +
+                `${selected.length === 1 ? 'entry' : 'entries'} to ` +
+                path.relative(options.cwd, baselineDir)
+        );
+        return;
+    }
+
+    const comparisons = selected.map((entry) =>
+        compareEntry(
+            entry.target,
+            readSummary(baselineFileOf(baselineDir, entry)),
+            readSummary(statsFileOf(props, entry))
+        )
+    );
+    const failures = checkThresholds(comparisons, {
+        ...props.get('webpack.bundle.stats.thresholds'),
+        ...options.thresholds,
+    });
+
+    process.stdout.write(formats[options.format](comparisons, failures));
+
+    if (failures.length) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((e) => {
+    gutil.log(gutil.colors.red(e.message));
+    process.exit(1);
+});
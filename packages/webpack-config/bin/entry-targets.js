@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+const gutil = require('gulp-util');
+const path = require('path');
+const {
+    describeEntries,
+    resolveEntryTargets,
+} = require('../entry-targets');
+const { parseCommandLine } = require('../helpers');
+
+const usage = `Usage: webpack-entry-targets [options] [targets...]
+
+Prints the entries a list of targets selects, without building them. Targets
+default to the ENTRY_TARGET environment variable, or every entry when unset.
+
+Targets are comma separated or repeated, each one of:
+  website                    Every entry of an app
+  website/index.js           An entry target
+  index.js, index.less       A JS or CSS entry, optionally prefixed with its app
+  'website/*'                A glob of any of the above
+  '!website/about.js'        Excludes what it matches
+
+Options:
+  --json                     Print the entries as JSON
+  --cwd <dir>                Directory containing website.build.js
+                             (default: current directory)
+  --help                     Show this message
+`;
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} argv - Arguments without the node and script path
+ * @returns {object} - options
+ */
+function parseArgs(argv) {
+    const options = {
+        targets: [],
+        json: false,
+        cwd: process.cwd(),
+        help: false,
+    };
+
+    const help = () => {
+        options.help = true;
+    };
+
+    // Exclusions start with `!`, anything else starting with a dash is a
+    // mistyped option.
+    parseCommandLine(
+        argv,
+        {
+            '--json': () => {
+                options.json = true;
+            },
+            '--cwd': (takeValue) => {
+                options.cwd = path.resolve(takeValue());
+            },
+            '--help': help,
+            '-h': help,
+        },
+        (target) => options.targets.push(target)
+    );
+
+    return options;
+}
+
+async function main() {
+    let options;
+
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        gutil.log(gutil.colors.red(e.message));
+        process.stderr.write(usage);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        process.stdout.write(usage);
+        return;
+    }
+
+    const { websiteBuild } = require(path.join(options.cwd, 'website.build'));
+    const props = await websiteBuild.getBuildConfig();
+    const entries = describeEntries(props);
+    const targets = options.targets.length
+        ? options.targets
+        : process.env.ENTRY_TARGET;
+
+    const selected = targets ? resolveEntryTargets(entries, targets) : entries;
+
+    if (options.json) {
+        process.stdout.write(JSON.stringify(selected, null, 2) + '\n');
+        return;
+    }
+
+    selected.forEach(({ target, js, css }) => {
+        process.stdout.write(`${target}\n`);
+        process.stdout.write(`    js:  ${js.join(', ')}\n`);
+        process.stdout.write(`    css: ${css.join(', ') || '-'}\n`);
+    });
+}
+
+main().catch((e) => {
+    gutil.log(gutil.colors.red(e.message));
+    process.exit(1);
+});
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+const gutil = require('gulp-util');
+const path = require('path');
+const { Writable } = require('stream');
+const { parseCommandLine } = require('../helpers');
+
+const usage = `Usage: webpack-ondemand-server [options]
+
+Starts the on-demand server, which builds entries with webpack-dev-server the
+first time one of their assets is requested.
+
+Options:
+  --port <port>              Port for the on-demand server (default: 8080)
+  --dev-server-port <port>   First port for webpack-dev-server (default: 8081)
+  --entry <targets>          Entry targets to warm at startup, comma separated
+                             or repeated, e.g. --entry website/index.js
+                             (same syntax as ENTRY_TARGET)
+  --cwd <dir>                Directory containing website.build.js
+                             (default: current directory)
+  --help                     Show this message
+`;
+
+/**
+ * Parses the command line arguments.
+ *
+ * @param {string[]} argv - Arguments without the node and script path
+ * @returns {object} - options
+ */
+function parseArgs(argv) {
+    const options = {
+        port: 8080,
+        devServerPort: 8081,
+        entryTargets: [],
+        cwd: process.cwd(),
+        help: false,
+    };
+
+    const toNumber = (flag, value) => {
+        const number = Number(value);
+
+        if (!Number.isInteger(number) || number <= 0) {
+            throw new Error(
+                `Expected a port number for ${flag}, got '${value}'`
+            );
+        }
+
+        return number;
+    };
+
+    const help = () => {
+        options.help = true;
+    };
+
+    parseCommandLine(argv, {
+        '--port': (takeValue, flag) => {
+            options.port = toNumber(flag, takeValue());
+        },
+        '--dev-server-port': (takeValue, flag) => {
+            options.devServerPort = toNumber(flag, takeValue());
+        },
+        '--entry': (takeValue) => {
+            options.entryTargets.push(
+                ...takeValue().split(',').filter(Boolean)
+            );
+        },
+        '--cwd': (takeValue) => {
+            options.cwd = path.resolve(takeValue());
+        },
+        '--help': help,
+        '-h': help,
+    });
+
+    return options;
+}
+
+/**
+ * Creates the logger the webpack-dev-server output is written to. Every line
+ * is timestamped and prefixed so it stands out from the on-demand server's
+ * own output.
+ *
+ * @returns {object} - logger with a writable `stdin`
+ */
+function createLogger() {
+    let buffered = '';
+
+    return {
+        stdin: new Writable({
+            write(chunk, encoding, callback) {
+                const lines = (buffered + chunk.toString()).split('\n');
+                buffered = lines.pop();
+
+                lines
+                    .filter((line) => line.trim())
+                    .forEach((line) => {
+                        gutil.log(gutil.colors.cyan('[webpack]'), line);
+                    });
+
+                callback();
+            },
+        }),
+    };
+}
+
+async function main() {
+    let options;
+
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        gutil.log(gutil.colors.red(e.message));
+        process.stderr.write(usage);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        process.stdout.write(usage);
+        return;
+    }
+
+    const { websiteBuild } = require(path.join(options.cwd, 'website.build'));
+    const props = await websiteBuild.getBuildConfig();
+
+    const server = require('../ondemand-server').create({
+        props,
+        port: options.port,
+        entryTargets: options.entryTargets,
+        devServerPort: options.devServerPort,
+        pino: createLogger(),
+        cwd: options.cwd,
+    });
+
+    gutil.log(
+        `On-demand server listening on http://localhost:${options.port}`
+    );
+    gutil.log(
+        `Status page at http://localhost:${options.port}/__ondemand/`
+    );
+
+    let closing = false;
+
+    const shutdown = (signal) => {
+        // A second signal forces the exit.
+        if (closing) {
+            process.exit(1);
+        }
+
+        closing = true;
+        gutil.log(`Received ${signal}, shutting down`);
+
+        server.close().then(() => process.exit(0));
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch((e) => {
+    gutil.log(gutil.colors.red(e.stack));
+    process.exit(1);
+});
@@ -0,0 +1,394 @@
+const fs = require('fs');
+const path = require('path');
+const { formatSize } = require('./helpers');
+
+// Thresholds of `checkThresholds`, each one optional.
+const thresholdNames = [
+    'sizeIncrease',
+    'sizeIncreasePercent',
+    'addedModules',
+    'addedDuplicatePackages',
+    'chunkCountIncrease',
+];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const formatDelta = (delta, format = String) =>
+    delta > 0 ? `+${format(delta)}` : format(delta);
+
+const formatPercent = (percent) =>
+    percent === null ? 'new' : `${formatDelta(Number(percent.toFixed(1)))}%`;
+
+/**
+ * Where the stats of an entry are written when `webpack.bundle.stats` is
+ * on, under the output path of its app, see `common`.
+ *
+ * @param {object} props - Configuration
+ * @param {object} entry - Entry, see `describeEntries`
+ * @returns {string} - path of bundle-stats.json
+ */
+function statsFileOf(props, entry) {
+    const { generatedRoot } = props.forApp(entry.app).get('paths');
+
+    return path.join(
+        generatedRoot,
+        'webpack',
+        '.stats',
+        entry.js[0],
+        'bundle-stats.json'
+    );
+}
+
+/**
+ * Where the baseline of an entry is saved.
+ *
+ * @param {string} baselineDir - Baseline directory
+ * @param {object} entry - Entry, see `describeEntries`
+ * @returns {string} - path of the saved bundle-stats.json
+ */
+function baselineFileOf(baselineDir, entry) {
+    return path.join(baselineDir, entry.target, 'bundle-stats.json');
+}
+
+/**
+ * Reduces a bundle-stats.json to what the comparison looks at. Asset names
+ * are the ones bundle-stats gives them, without content hashes, so they can
+ * be matched across builds.
+ *
+ * @param {object} json - Contents of bundle-stats.json
+ * @returns {object} - `{ assets, modules, duplicatePackages, chunks }`
+ */
+function summarizeStats(json) {
+    const valuesOf = (items) =>
+        items.reduce((memo, { key, runs }) => {
+            memo[key] = runs[0].value;
+            return memo;
+        }, {});
+    const chunkCount = json.stats.find(
+        ({ key }) => key === 'webpack.chunkCount'
+    );
+    const { duplicatePackages } = json.insights.webpack;
+
+    return {
+        assets: valuesOf(json.assets),
+        modules: valuesOf(json.modules),
+        duplicatePackages: (duplicatePackages && duplicatePackages.data) || {},
+        chunks: chunkCount
+            ? chunkCount.runs[0].value
+            : json.runs[0].webpack.chunks.length,
+    };
+}
+
+/**
+ * Reads and summarizes a stats file.
+ *
+ * @param {string} file - Path of bundle-stats.json
+ * @returns {object|null} - summary, null when the file does not exist
+ */
+function readSummary(file) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    return summarizeStats(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+const emptySummary = {
+    assets: {},
+    modules: {},
+    duplicatePackages: {},
+    chunks: 0,
+};
+
+/**
+ * Compares the stats of an entry with its baseline. An entry without a
+ * baseline compares against an empty build.
+ *
+ * @param {string} target - Entry target
+ * @param {object|null} baseline - Summary of the baseline
+ * @param {object} current - Summary of the current build
+ * @returns {object} - comparison
+ */
+function compareEntry(target, baseline, current) {
+    const before = baseline || emptySummary;
+    const keysOf = (key) => [
+        ...new Set([
+            ...Object.keys(before[key]),
+            ...Object.keys(current[key]),
+        ]),
+    ];
+    const sizeBefore = sum(Object.values(before.assets));
+    const sizeAfter = sum(Object.values(current.assets));
+
+    return {
+        target,
+        hasBaseline: Boolean(baseline),
+        size: {
+            before: sizeBefore,
+            after: sizeAfter,
+            delta: sizeAfter - sizeBefore,
+            percent: sizeBefore
+                ? ((sizeAfter - sizeBefore) / sizeBefore) * 100
+                : null,
+        },
+        // Only the assets which changed, the biggest change first.
+        assets: keysOf('assets')
+            .map((name) => ({
+                name,
+                before: before.assets[name],
+                after: current.assets[name],
+                delta: (current.assets[name] || 0) - (before.assets[name] || 0),
+            }))
+            .filter(({ before: b, after: a }) => b !== a)
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+        modules: {
+            added: keysOf('modules').filter(
+                (name) => !(name in before.modules)
+            ),
+            removed: keysOf('modules').filter(
+                (name) => !(name in current.modules)
+            ),
+        },
+        duplicatePackages: {
+            before: Object.keys(before.duplicatePackages).length,
+            after: Object.keys(current.duplicatePackages).length,
+            added: Object.keys(current.duplicatePackages)
+                .filter((name) => !(name in before.duplicatePackages))
+                .map((name) => ({
+                    name,
+                    paths: current.duplicatePackages[name],
+                })),
+        },
+        chunks: {
+            before: before.chunks,
+            after: current.chunks,
+            delta: current.chunks - before.chunks,
+        },
+    };
+}
+
+/**
+ * Checks comparisons against the configured thresholds. Thresholds left out
+ * are not checked, size ones only apply to entries with a baseline.
+ *
+ * @param {object[]} comparisons - See `compareEntry`
+ * @param {object} thresholds - Limits, see `thresholdNames`
+ * @returns {string[]} - one message per threshold crossed
+ */
+function checkThresholds(comparisons, thresholds) {
+    const isSet = (name) => typeof thresholds[name] === 'number';
+
+    return comparisons.reduce((failures, comparison) => {
+        const { target, size, modules, duplicatePackages, chunks } =
+            comparison;
+        const fail = (message) => failures.push(`${target}: ${message}`);
+
+        if (!comparison.hasBaseline) {
+            return failures;
+        }
+
+        if (isSet('sizeIncrease') && size.delta > thresholds.sizeIncrease) {
+            fail(
+                `size grew by ${formatSize(size.delta)}, above ` +
+                    formatSize(thresholds.sizeIncrease)
+            );
+        }
+
+        if (
+            isSet('sizeIncreasePercent') &&
+            size.percent > thresholds.sizeIncreasePercent
+        ) {
+            fail(
+                `size grew by ${formatPercent(size.percent)}, above ` +
+                    `${thresholds.sizeIncreasePercent}%`
+            );
+        }
+
+        if (
+            isSet('addedModules') &&
+            modules.added.length > thresholds.addedModules
+        ) {
+            fail(
+                `${modules.added.length} modules added, above ` +
+                    thresholds.addedModules
+            );
+        }
+
+        if (
+            isSet('addedDuplicatePackages') &&
+            duplicatePackages.added.length > thresholds.addedDuplicatePackages
+        ) {
+            fail(
+                `${duplicatePackages.added.length} duplicate packages ` +
+                    `added, above ${thresholds.addedDuplicatePackages}`
+            );
+        }
+
+        if (
+            isSet('chunkCountIncrease') &&
+            chunks.delta > thresholds.chunkCountIncrease
+        ) {
+            fail(
+                `chunk count grew by ${chunks.delta}, above ` +
+                    thresholds.chunkCountIncrease
+            );
+        }
+
+        return failures;
+    }, []);
+}
+
+const describeSize = ({ before, after, delta, percent }) =>
+    `${formatSize(before)} → ${formatSize(after)} ` +
+    `(${formatDelta(delta, formatSize)}, ${formatPercent(percent)})`;
+
+const describeAsset = ({ before, after, delta }) => {
+    if (before === undefined) {
+        return `added, ${formatSize(after)}`;
+    }
+
+    if (after === undefined) {
+        return `removed, ${formatSize(before)}`;
+    }
+
+    return (
+        `${formatSize(before)} → ${formatSize(after)} ` +
+        `(${formatDelta(delta, formatSize)})`
+    );
+};
+
+const describePackage = ({ name, paths }) => `${name} (${paths.join(', ')})`;
+
+/**
+ * Formats comparisons as plain text, for the terminal.
+ *
+ * @param {object[]} comparisons - See `compareEntry`
+ * @param {string[]} failures - See `checkThresholds`
+ * @returns {string} - report
+ */
+function formatText(comparisons, failures) {
+    const indent = (lines, depth = 1) =>
+        lines.map((line) => '    '.repeat(depth) + line);
+
+    const sections = comparisons.map((comparison) => {
+        const { target, size, assets, modules, duplicatePackages, chunks } =
+            comparison;
+
+        return [
+            comparison.hasBaseline ? target : `${target} (no baseline)`,
+            ...indent([
+                `Size: ${describeSize(size)}`,
+                `Assets: ${assets.length ? '' : 'unchanged'}`.trimEnd(),
+                ...indent(
+                    assets.map(
+                        (asset) => `${asset.name}: ${describeAsset(asset)}`
+                    )
+                ),
+                `Modules: ${modules.added.length} added, ` +
+                    `${modules.removed.length} removed`,
+                ...indent([
+                    ...modules.added.map((name) => `+ ${name}`),
+                    ...modules.removed.map((name) => `- ${name}`),
+                ]),
+                `Duplicate packages: ${duplicatePackages.before} → ` +
+                    `${duplicatePackages.after}`,
+                ...indent(
+                    duplicatePackages.added.map(
+                        (pkg) => `+ ${describePackage(pkg)}`
+                    )
+                ),
+                `Chunks: ${chunks.before} → ${chunks.after} ` +
+                    `(${formatDelta(chunks.delta)})`,
+            ]),
+        ].join('\n');
+    });
+
+    if (failures.length) {
+        sections.push(
+            ['Thresholds crossed:', ...indent(failures)].join('\n')
+        );
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+const sizeOrDash = (bytes) => (bytes === undefined ? '-' : formatSize(bytes));
+
+// Keep module paths and asset names from breaking out of table cells.
+const code = (text) => `\`${String(text).replace(/\|/g, '\\|')}\``;
+
+/**
+ * Formats comparisons as markdown, e.g. for a pull request comment.
+ *
+ * @param {object[]} comparisons - See `compareEntry`
+ * @param {string[]} failures - See `checkThresholds`
+ * @returns {string} - report
+ */
+function formatMarkdown(comparisons, failures) {
+    const sections = comparisons.map((comparison) => {
+        const { target, size, assets, modules, duplicatePackages, chunks } =
+            comparison;
+        const lines = [
+            `### ${target}${comparison.hasBaseline ? '' : ' (no baseline)'}`,
+            '',
+            `**Size:** ${describeSize(size)}`,
+            '',
+        ];
+
+        if (assets.length) {
+            lines.push(
+                '| Asset | Baseline | Current | Change |',
+                '| --- | ---: | ---: | ---: |',
+                ...assets.map(
+                    ({ name, before, after, delta }) =>
+                        `| ${code(name)} | ${sizeOrDash(before)} ` +
+                        `| ${sizeOrDash(after)} ` +
+                        `| ${formatDelta(delta, formatSize)} |`
+                ),
+                ''
+            );
+        }
+
+        lines.push(
+            `**Modules:** ${modules.added.length} added, ` +
+                `${modules.removed.length} removed`,
+            ...modules.added.map((name) => `- Added ${code(name)}`),
+            ...modules.removed.map((name) => `- Removed ${code(name)}`),
+            '',
+            `**Duplicate packages:** ${duplicatePackages.before} → ` +
+                `${duplicatePackages.after}`,
+            ...duplicatePackages.added.map(
+                ({ name, paths }) =>
+                    `- Added ${code(name)}: ${paths.map(code).join(', ')}`
+            ),
+            '',
+            `**Chunks:** ${chunks.before} → ${chunks.after} ` +
+                `(${formatDelta(chunks.delta)})`
+        );
+
+        return lines.join('\n');
+    });
+
+    if (failures.length) {
+        sections.push(
+            [
+                '### Thresholds crossed',
+                '',
+                ...failures.map((failure) => `- ${failure}`),
+            ].join('\n')
+        );
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+module.exports = {
+    thresholdNames,
+    statsFileOf,
+    baselineFileOf,
+    readSummary,
+    compareEntry,
+    checkThresholds,
+    formatText,
+    formatMarkdown,
+};
@@ -5,7 +5,18 @@ const path = require('path');
 const fs = require('fs');
 const glob = require('glob');
 const webpack = require('webpack');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const ForkTsCheckerWebpackPlugin = require('fork-ts-checker-webpack-plugin');
 const { WebpackManifestPlugin } = require('webpack-manifest-plugin');
+const {
+    RtlCssPlugin,
+    toRtlFilename,
+    isRtlFilename,
+} = require('./rtl-css-plugin');
+const { CompileStatusPlugin } = require('./compile-status-plugin');
+const { ImportCacheStatsPlugin } = require('./import-cache-stats-plugin');
+const { describeEntries, resolveEntryTargets } = require('./entry-targets');
 const { BundleStatsWebpackPlugin } = require('bundle-stats-webpack-plugin');
 const {
     BundleAnalyzerPlugin: WebpackBundleAnalyzer,
@@ -26,7 +37,83 @@ const forceLocalPath = (assetPath) => {
         : assetPath;
 };
 
-module.exports = (props) => {
+// Report type errors as warnings, for builds which should not fail on them.
+const typeErrorsAsWarnings = (compiler) => {
+    ForkTsCheckerWebpackPlugin.getCompilerHooks(compiler).issues.tap(
+        'TypeErrorsAsWarnings',
+        (issues) => issues.map((issue) => ({ ...issue, severity: 'warning' }))
+    );
+};
+
+/**
+ * Creates the type checker of an app with a `tsconfig.json`. Checking runs
+ * in a separate process, in development its results are reported once ready
+ * rather than holding up builds. Only production builds fail on type
+ * errors, and only when `webpack.typescript.fail.on.errors` is set.
+ *
+ * @param {object} props - Configuration scoped to the app
+ * @return {object[]} - webpack plugins, empty if the app is not type checked
+ */
+function createTypeCheckPlugins(props) {
+    const configFile = path.join(props.get('root'), 'tsconfig.json');
+    const isProduction = process.env.NODE_ENV === 'production';
+
+    if (!props.get('webpack.typescript.check') || !fs.existsSync(configFile)) {
+        return [];
+    }
+
+    return [
+        new ForkTsCheckerWebpackPlugin({
+            // Development builds, served or watched, never wait on the check.
+            async: !isProduction,
+            typescript: {
+                configFile,
+                context: props.get('root'),
+            },
+        }),
+        !(isProduction && props.get('webpack.typescript.fail.on.errors')) &&
+            typeErrorsAsWarnings,
+    ].filter(Boolean);
+}
+
+/**
+ * Options of the LESS import resolver. Workspace packages enabled in the
+ * config resolve to their sources under `packages/`, and aliases to a path
+ * starting with a dot are relative to the repository root.
+ *
+ * @param {object} props - Configuration
+ * @returns {object} - `alias` and `packages` options of postcss-import
+ */
+function createImportResolveOptions(props) {
+    const alias = props.get('webpack.less.alias') || {};
+
+    return {
+        alias: Object.keys(alias).reduce((memo, key) => {
+            memo[key] =
+                alias[key][0] === '.'
+                    ? path.resolve(process.cwd(), alias[key])
+                    : alias[key];
+            return memo;
+        }, {}),
+        packages: (props.get('webpack.enabled.packages') || []).reduce(
+            (memo, dir) => {
+                const root = path.join(process.cwd(), 'packages', dir);
+                memo[require(path.join(root, 'package.json')).name] = root;
+                return memo;
+            },
+            {}
+        ),
+    };
+}
+
+/**
+ * Creates a webpack config for every entry point of an app. Each app writes
+ * into its own output path and the configs are named after the app.
+ *
+ * @param {object} props - Configuration scoped to the app
+ * @return {object[]} - webpack configs
+ */
+function createAppConfigs(props) {
     const { keys, values } = Object;
     const {
         NODE_ENV = 'development',
@@ -40,6 +127,18 @@ module.exports = (props) => {
     const { generatedRoot, srcRoot, srcCss, srcJs } = paths;
     const outputPath = path.resolve(generatedRoot, 'webpack');
 
+    // The srcCss path as it appears in asset names, without the leading './'.
+    const cssPrefix = path.normalize(srcCss);
+
+    const hashCss = isProduction && !isWebpackDevServer;
+
+    // The same condition dev.js adds ReactRefreshWebpackPlugin on, the
+    // transform alone references a runtime which prod.js never includes.
+    const fastRefresh =
+        isWebpackDevServer &&
+        !isProduction &&
+        Boolean(props.get('webpack.fast.refresh'));
+
     if (!process.send && !ENTRY_TARGET && require.main === module) {
         // eslint-disable-next-line no-console
         console.log('Removing files from', outputPath);
@@ -57,18 +156,22 @@ module.exports = (props) => {
     }
 
     const { entryPoints } = appData.getEntryPoints(props);
+    const importResolveOptions = createImportResolveOptions(props);
 
-    let defaultExport = entryPoints.map((entryPoints) => {
+    return entryPoints.map((entryPoints) => {
         const [jsEntries, cssEntries] = entryPoints;
+        // Parsed LESS imports, kept for as long as webpack watches.
+        const importCache = require('postcss-import').createCache();
         const importOpts = {
-            resolve(uri, base) {
-                // This is not a regular module, search in node_modules instead.
-                if (!uri.includes('/')) {
-                    return require.resolve(uri);
-                }
-                return path.join(base, uri);
-            },
+            ...importResolveOptions,
+            cache: importCache,
+            concurrency: props.get('webpack.less.import.concurrency'),
             modifier: '&',
+            // e.g. `index.jsx.index.imports.json` next to `index.jsx.css`.
+            report: props.get('webpack.less.import.report') && {
+                filename: (from) =>
+                    `${jsEntries[0]}.${path.parse(from).name}.imports`,
+            },
         };
 
         const importPlugins = [
@@ -76,6 +179,7 @@ module.exports = (props) => {
         ];
 
         return {
+            name: props.name,
             entry: {
                 // Map each entry to the respective js and css files.
                 [jsEntries[0]]: [
@@ -111,26 +215,71 @@ module.exports = (props) => {
             },
             resolve: {
                 mainFields: ['browser', 'main', 'module'],
+                extensions: ['.jsx', '.ts', '.tsx', '...'],
                 symlinks: false,
             },
             module: {
                 rules: [
+                    // Transpile the app's sources with its own Babel config,
+                    // `babel.config.js` in the app directory. TypeScript is
+                    // only stripped here, see `createTypeCheckPlugins`.
+                    {
+                        test: /\.[jt]sx?$/,
+                        include: srcRoot,
+                        use: [
+                            {
+                                loader: 'babel-loader',
+                                options: {
+                                    root: props.get('root'),
+                                    cacheDirectory: 'tmp',
+                                    cacheCompression: false,
+                                    presets: [
+                                        require.resolve(
+                                            '@babel/preset-typescript'
+                                        ),
+                                    ],
+                                    plugins: [
+                                        fastRefresh &&
+                                            require.resolve(
+                                                'react-refresh/babel'
+                                            ),
+                                    ].filter(Boolean),
+                                },
+                            },
+                        ],
+                    },
                     {
                         test: /(\.less)$/i,
                         exclude: /node_modules/,
-                        type: 'asset/resource',
                         use: [
+                            // Extract the CSS into a stylesheet per chunk.
+                            MiniCssExtractPlugin.loader,
+                            // The LESS and postcss steps already resolved
+                            // every import, leave `url()` and `@import` as
+                            // written.
+                            {
+                                loader: 'css-loader',
+                                options: {
+                                    url: false,
+                                    import: false,
+                                },
+                            },
                             // Once we have a single CSS file, run the autoprefixer
                             // plugin on the entire bundle.
                             {
                                 loader: 'postcss-loader',
                                 options: {
-                                    sourceMap: false,
                                     postcssOptions: {
                                         plugins: [require('autoprefixer')],
                                     },
                                 },
                             },
+                            {
+                                loader: require.resolve(
+                                    './less-source-map-loader'
+                                ),
+                                options: { phase: 'after' },
+                            },
                             {
                                 loader: 'less-loader',
                                 options: {
@@ -140,15 +289,19 @@ module.exports = (props) => {
                                     },
                                 },
                             },
+                            // less-loader ignores the map of the import
+                            // step, carry it across.
+                            {
+                                loader: require.resolve(
+                                    './less-source-map-loader'
+                                ),
+                                options: { phase: 'before' },
+                            },
                             // First run postcss-loader to process LESS and
                             // combine into a single CSS file.
                             {
                                 loader: 'postcss-loader',
                                 options: {
-                                    // Source maps currently fail due to AST
-                                    // rewriting. Will revisit once Codex is
-                                    // deprecated.
-                                    sourceMap: false,
                                     postcssOptions: {
                                         syntax: require('postcss-less'),
                                         plugins: [
@@ -177,32 +330,130 @@ module.exports = (props) => {
                 new webpack.DefinePlugin({
                     'process.env.NODE_ENV': JSON.stringify(NODE_ENV),
                 }),
-                //new WebpackManifestPlugin({
-                //    fileName: path.join(
-                //        path.resolve(generatedRoot, 'webpack'),
-                //        jsEntries[0] + '.manifest.json'
-                //    ),
-                //    generate(seed, files) {
-                //        const manifest = files.reduce((memo, file) => {
-                //            memo[file.name] = file.path;
-                //            return memo;
-                //        }, seed);
-
-                //        Object.keys(manifest).forEach((key) => {
-                //            // Remove all srcCss prefixes that get
-                //            // included because of webpack's misalignment with
-                //            // context.
-                //            const lookup = `${srcCss}/`;
-                //            if (key.indexOf(lookup) === 0) {
-                //                manifest[key.slice(lookup.length)] =
-                //                    manifest[key];
-                //                delete manifest[key];
-                //            }
-                //        });
-
-                //        return manifest;
-                //    },
-                //}),
+                // Emit an HTML document per entry, e.g. `index.js` becomes
+                // `index.html`, with the tags for its stylesheets and scripts.
+                new HtmlWebpackPlugin({
+                    filename: path.posix.join(
+                        path.posix.parse(jsEntries[0]).dir,
+                        path.posix.parse(jsEntries[0]).name + '.html'
+                    ),
+                    template:
+                        paths.htmlTemplate ||
+                        path.join(__dirname, 'template.html'),
+                    title: path.parse(jsEntries[0]).name,
+                    chunks: [jsEntries[0]],
+                    inject: 'body',
+                    scriptLoading: 'blocking',
+                    templateParameters: {
+                        mountId: props.get('webpack.html.mount'),
+                    },
+                }),
+                // Entry stylesheets are injected by HtmlWebpackPlugin, those
+                // of dynamically imported chunks load along with them.
+                new MiniCssExtractPlugin({
+                    // Hash the stylesheet names for production so they can
+                    // be cached indefinitely, the manifest maps them back to
+                    // their entry.
+                    filename: hashCss
+                        ? '[name].[contenthash].css'
+                        : '[name].css',
+                    chunkFilename: hashCss
+                        ? '[name].[contenthash].css'
+                        : '[name].css',
+                }),
+                // Emit a flipped `<name>.rtl.css` for every stylesheet.
+                new RtlCssPlugin(),
+                new ImportCacheStatsPlugin(importCache),
+                // Report compile status to the on-demand server when spawned
+                // by it.
+                process.send && new CompileStatusPlugin(),
+                new WebpackManifestPlugin({
+                    // One manifest per entry, otherwise they will be paved
+                    // over. Resolved relative to the output path.
+                    fileName: jsEntries[0] + '.manifest.json',
+                    // Record paths relative to the output path, the consumer
+                    // decides which public path to serve them from.
+                    publicPath: '',
+                    // Ensure the manifest lands on disk when running from
+                    // webpack-dev-server, which otherwise only writes to
+                    // memory.
+                    writeToFileEmit: true,
+                    generate(seed, files, entries) {
+                        const manifest = files.reduce((memo, file) => {
+                            memo[file.name] = file.path;
+                            return memo;
+                        }, seed);
+
+                        keys(manifest).forEach((key) => {
+                            // Remove all srcCss prefixes that get
+                            // included because of webpack's misalignment with
+                            // context.
+                            const lookup = `${cssPrefix}/`;
+                            if (key.indexOf(lookup) === 0) {
+                                manifest[key.slice(lookup.length)] =
+                                    manifest[key];
+                                delete manifest[key];
+                            }
+                        });
+
+                        // When running webpack-dev-server all entries are
+                        // combined into a single compilation, so record every
+                        // entry point that was built.
+                        const entrypoints = keys(entries).reduce(
+                            (memo, entryName) => {
+                                const entryFiles = entries[entryName].filter(
+                                    (file) => !file.includes('hot-update')
+                                );
+
+                                memo[entryName] = {
+                                    js: entryFiles.filter((file) =>
+                                        file.endsWith('.js')
+                                    ),
+                                    css: entryFiles.filter(
+                                        (file) =>
+                                            file.endsWith('.css') &&
+                                            !isRtlFilename(file)
+                                    ),
+                                };
+
+                                return memo;
+                            },
+                            {}
+                        );
+
+                        // The CSS entries are extracted into the entry's
+                        // stylesheet, keep them resolvable by their own name.
+                        const entryCss =
+                            entrypoints[jsEntries[0]] &&
+                            entrypoints[jsEntries[0]].css[0];
+
+                        if (entryCss) {
+                            cssEntries.forEach((cssEntry) => {
+                                manifest[cssEntry] = entryCss;
+                            });
+                        }
+
+                        // Pair every stylesheet with its RTL variant.
+                        const emittedFiles = values(manifest);
+                        values(entrypoints).forEach((entrypoint) => {
+                            entrypoint.rtl = entrypoint.css
+                                .map(toRtlFilename)
+                                .filter((file) => emittedFiles.includes(file));
+                        });
+
+                        return {
+                            entrypoints,
+                            // Dynamically imported chunks which are loaded on
+                            // demand by the entry runtime.
+                            chunks: files
+                                .filter(
+                                    (file) => file.isChunk && !file.isInitial
+                                )
+                                .map((file) => file.path),
+                            files: manifest,
+                        };
+                    },
+                }),
                 props.get('webpack.bundle.stats') &&
                     new BundleStatsWebpackPlugin({
                         json: true,
@@ -220,40 +471,62 @@ module.exports = (props) => {
             ].filter(Boolean),
         };
     });
+}
+
+module.exports = (props) => {
+    const { keys } = Object;
+    const { ENTRY_TARGET } = process.env;
+
+    let defaultExport = props
+        .get('apps')
+        .reduce(
+            (configs, appName) =>
+                configs.concat(createAppConfigs(props.forApp(appName))),
+            []
+        );
 
     /**
-     * Support filtering webpack entry points by a list of fuzzy targets.
+     * Filters the webpack configs down to the entries selected by a list of
+     * targets, see `entry-targets` for the syntax. Throws when a target
+     * matches nothing.
      *
-     * @param {string[]} targets - list of targets to search
-     * @return {object[]} - filtered targets
+     * @param {string|string[]} targets - list of targets to select
+     * @return {object[]} - filtered configs
      */
     function filter(targets) {
-        return defaultExport.filter(({ entry }) => {
-            const keyName = keys(entry)[0];
-
-            // Optimize for a single ENTRY_TARGET.
-            if (keyName.includes(targets[0])) {
-                return true;
-            }
-
-            // Search multiple targets to see if this build should run.
-            return targets.reduce((memo, target) => {
-                return (
-                    memo ||
-                    values(entry)[0].includes(target) ||
-                    keyName.includes(target)
-                );
-            }, false);
-        });
+        const selected = resolveEntryTargets(
+            describeEntries(props),
+            targets
+        ).map(({ target }) => target);
+
+        return defaultExport.filter(({ name, entry }) =>
+            selected.includes(`${name}/${keys(entry)[0]}`)
+        );
+    }
+
+    if (ENTRY_TARGET && ENTRY_TARGET.trim()) {
+        defaultExport = filter(ENTRY_TARGET);
     }
 
-    if (ENTRY_TARGET) {
-        const targets = ENTRY_TARGET.split(',').filter(Boolean);
+    // Type check each app once, from the first of its configs, rather than
+    // once per entry.
+    const checkedApps = new Set();
 
-        if (targets.length) {
-            defaultExport = filter(targets);
+    defaultExport = defaultExport.map((config) => {
+        if (checkedApps.has(config.name)) {
+            return config;
         }
-    }
+
+        checkedApps.add(config.name);
+
+        return {
+            ...config,
+            plugins: [
+                ...config.plugins,
+                ...createTypeCheckPlugins(props.forApp(config.name)),
+            ],
+        };
+    });
 
     return {
         default: defaultExport,
@@ -0,0 +1,55 @@
+// Strip terminal colors, errors are displayed in the browser.
+const stripAnsi = (str) => str.replace(/\u001b\[[0-9;]*m/g, '');
+
+/**
+ * Reports compile progress of a webpack-dev-server spawned by the on-demand
+ * server back to it over IPC. Messages have the shape
+ * `{ type: 'webpack-compile', name, status, errors }` where `name` is the
+ * config name (the app) and `status` one of `compiling`, `success` or
+ * `failed`.
+ */
+class CompileStatusPlugin {
+    apply(compiler) {
+        const send = (message) => {
+            if (process.send && process.connected) {
+                process.send({
+                    type: 'webpack-compile',
+                    name: compiler.options.name,
+                    errors: [],
+                    ...message,
+                });
+            }
+        };
+
+        compiler.hooks.watchRun.tap('CompileStatusPlugin', () => {
+            send({ status: 'compiling' });
+        });
+
+        compiler.hooks.invalid.tap('CompileStatusPlugin', () => {
+            send({ status: 'compiling' });
+        });
+
+        compiler.hooks.done.tap('CompileStatusPlugin', (stats) => {
+            const { errors } = stats.toJson({
+                all: false,
+                errors: true,
+                moduleTrace: false,
+            });
+
+            send({
+                status: stats.hasErrors() ? 'failed' : 'success',
+                errors: errors.map(({ moduleName, message }) =>
+                    stripAnsi(
+                        moduleName ? `${moduleName}\n${message}` : message
+                    )
+                ),
+            });
+        });
+
+        compiler.hooks.failed.tap('CompileStatusPlugin', (err) => {
+            send({ status: 'failed', errors: [stripAnsi(String(err.stack))] });
+        });
+    }
+}
+
+module.exports = { CompileStatusPlugin };
@@ -2,13 +2,19 @@ const path = require('path');
 const { hostname } = require('os');
 const { merge } = require('webpack-merge');
 const ReactRefreshWebpackPlugin = require('@pmmmwh/react-refresh-webpack-plugin');
+const HtmlWebpackPlugin = require('html-webpack-plugin');
 const { ProgressPlugin } = require('webpack');
 const common = require('./common');
+const { SizeBudgetPlugin } = require('./size-budget-plugin');
 
 // When webpack is called as `webpack serve` this invokes the dev server. By
 // searching the argv we can determine if serve was used.
 const isWebpackDevServer = process.argv.includes('serve');
 
+// The on-demand server gives every dev server its own socket path so HMR
+// traffic can be routed back to the process that owns it.
+const socketPath = process.env.WEBPACK_SOCKET_PATH || '/ws';
+
 module.exports = (props) => {
     // Allow additional packages to be added easily via config.
     const enabledPackages = (props.get('webpack.enabled.packages') || []).map(
@@ -20,8 +26,14 @@ module.exports = (props) => {
         }
     );
 
-    return common(props).default.map((config) =>
-        merge(config, {
+    return common(props).default.map((config) => {
+        const appProps = props.forApp(config.name);
+        // Exceeded budgets only warn, production builds fail on them.
+        const budgets = {
+            plugins: [new SizeBudgetPlugin(appProps.get('budgets'))],
+        };
+
+        return merge(config, budgets, {
             /* eslint-disable-next-line no-restricted-syntax */
             mode: 'development',
             devtool: false,
@@ -40,7 +52,7 @@ module.exports = (props) => {
                 : undefined,
 
             output: {
-                publicPath: props.get('paths').publicPath,
+                publicPath: appProps.get('paths').publicPath,
             },
 
             snapshot: {
@@ -66,13 +78,19 @@ module.exports = (props) => {
                           // Allows proxying from zuul-proxy
                           allowedHosts: 'all',
                           // Websocket support requires https and we cannot easily proxy these calls from nginx and zuul-proxy
-                          webSocketServer: 'sockjs',
+                          webSocketServer: {
+                              type: 'sockjs',
+                              options: { path: socketPath },
+                          },
                           client: {
-                              // Make wds sockets go through zuul-proxy
+                              // Connect back through whatever served the page,
+                              // zuul-proxy over https or the on-demand server
+                              // over plain http, by taking the protocol and
+                              // port from the page location.
                               webSocketURL: {
-                                  protocol: 'https',
-                                  port: 443,
-                                  pathname: '/ws',
+                                  protocol: 'auto:',
+                                  port: 0,
+                                  pathname: socketPath,
                               },
                               // Show progress while compiling
                               progress: true,
@@ -85,9 +103,6 @@ module.exports = (props) => {
                           liveReload: Boolean(
                               props.get('webpack.live.reload')
                           ),
-                          watchFiles: [
-                              props.get('paths').srcCss,
-                          ].filter(Boolean),
                       },
 
                       plugins: [
@@ -103,19 +118,26 @@ module.exports = (props) => {
 
                       module: {
                           rules: [
-                              // tell webpack to use pre-existing sourcemaps generated from babel.
+                              // tell webpack to use pre-existing sourcemaps shipped with
+                              // prebuilt packages.
                               {
                                   test: /\.js$/,
                                   enforce: 'pre',
+                                  exclude: appProps.get('paths').srcRoot,
                                   use: ['source-map-loader'],
                               },
+                              // App sources already get the refresh plugin from
+                              // their own babel-loader rule, see `common`.
                               props.get('webpack.fast.refresh') && {
                                   test: /\.[jt]sx?$/,
-                                  exclude: new RegExp(
-                                      `node_modules\/(?!(${enabledPackages.join(
-                                          '|'
-                                      )})\/).*/`
-                                  ),
+                                  exclude: [
+                                      new RegExp(
+                                          `node_modules\/(?!(${enabledPackages.join(
+                                              '|'
+                                          )})\/).*/`
+                                      ),
+                                      appProps.get('paths').srcRoot,
+                                  ],
                                   use: [
                                       {
                                           loader: 'babel-loader',
@@ -136,29 +158,55 @@ module.exports = (props) => {
                       },
                   }
                 : {}),
-        })
-    );
+        });
+    });
 };
 
-// When in webpack-dev-server merge/reduce the entries to a single object.
+// When in webpack-dev-server merge/reduce the entries to a single object per
+// app.
 if (isWebpackDevServer) {
-    // Flatten the module exports via reduce. A single object means one port will
-    // be consumed.
+    // Flatten the module exports via reduce. A single devServer means one
+    // port will be consumed, the remaining apps are served from the same
+    // server through the multi compiler.
     const defaultExport = module.exports;
-    module.exports = (props) =>
-        // Wrap in an array to keep a consistent return value of config[].
-        [
-            defaultExport(props).reduce((memo, currentValue) => {
+    module.exports = (props) => {
+        const configsByApp = defaultExport(props).reduce(
+            (apps, currentValue) => {
+                const memo = apps[currentValue.name] || {};
                 const key = Object.keys(currentValue.entry)[0];
 
-                return {
+                apps[currentValue.name] = {
                     ...currentValue,
                     ...memo,
                     entry: {
                         ...(memo.entry || {}),
                         [key]: currentValue.entry[key],
                     },
+                    // Every entry still needs its own HTML document.
+                    plugins: memo.plugins
+                        ? [
+                              ...memo.plugins,
+                              ...currentValue.plugins.filter(
+                                  (plugin) =>
+                                      plugin instanceof HtmlWebpackPlugin
+                              ),
+                          ]
+                        : currentValue.plugins,
                 };
-            }, {}),
-        ];
+
+                return apps;
+            },
+            {}
+        );
+
+        // Keep a consistent return value of config[].
+        return Object.values(configsByApp).map((config, i) => {
+            if (i === 0) {
+                return config;
+            }
+
+            const { devServer, ...rest } = config;
+            return rest;
+        });
+    };
 }
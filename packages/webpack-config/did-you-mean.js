@@ -0,0 +1,49 @@
+// Levenshtein distance, used to suggest names when a typo is made.
+const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = Math.min(
+                row[j] + 1,
+                row[j - 1] + 1,
+                prev + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            prev = current;
+        }
+    }
+
+    return row[b.length];
+};
+
+const closeMatches = (name, candidates) =>
+    candidates
+        .map((candidate) => ({ candidate, score: distance(name, candidate) }))
+        .filter(
+            ({ candidate, score }) =>
+                score <= Math.max(2, Math.floor(candidate.length / 5))
+        )
+        .sort((a, b) => a.score - b.score)
+        .map(({ candidate }) => candidate);
+
+/**
+ * Suggests the closest candidates to a misspelled name, for use at the end of
+ * an error message.
+ *
+ * @param {string} name - Name which was not found
+ * @param {string[]} candidates - Valid names
+ * @returns {string} - e.g. `, did you mean 'index.js'?` or an empty string
+ */
+const didYouMean = (name, candidates) => {
+    const matches = closeMatches(name, Array.from(new Set(candidates)));
+
+    return matches.length
+        ? `, did you mean ${matches.map((m) => `'${m}'`).join(' or ')}?`
+        : '';
+};
+
+module.exports = { didYouMean };
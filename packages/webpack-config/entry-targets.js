@@ -0,0 +1,144 @@
+const minimatch = require('minimatch');
+const { didYouMean } = require('./did-you-mean');
+
+const isGlob = (target) => /[*?[\]{}]/.test(target);
+
+/**
+ * Lists every entry of every app. Each entry is identified by its entry
+ * target, `<app>/<first JS entry>`, the same name the on-demand server and
+ * the webpack configs use.
+ *
+ * @param {object} props - Configuration
+ * @returns {object[]} - `{ app, target, js, css }` per entry
+ */
+function describeEntries(props) {
+    return props.get('apps').reduce((memo, app) => {
+        const appProps = props.forApp(app);
+        const { entryPoints } = appProps
+            .get('applicationData')
+            .getEntryPoints(appProps);
+
+        return memo.concat(
+            entryPoints.map(([js, css]) => ({
+                app,
+                target: `${app}/${js[0]}`,
+                js,
+                css,
+            }))
+        );
+    }, []);
+}
+
+// Names an entry can be selected by: its app, and each of its JS and CSS
+// entries, on their own or prefixed with the app.
+const namesOf = ({ app, js, css }) => [
+    app,
+    ...[...js, ...css].reduce(
+        (memo, file) => memo.concat(file, `${app}/${file}`),
+        []
+    ),
+];
+
+/**
+ * Whether a single target, without a leading `!`, selects an entry. Globs are
+ * matched with minimatch, anything else must be an exact name.
+ *
+ * @param {object} entry - Entry, see `describeEntries`
+ * @param {string} target - Target to match
+ * @returns {boolean} - matched
+ */
+function matchesTarget(entry, target) {
+    const names = namesOf(entry);
+
+    return isGlob(target)
+        ? names.some((name) => minimatch(name, target))
+        : names.includes(target);
+}
+
+// Accept a comma separated string, as found in ENTRY_TARGET, or an array.
+const parseTargets = (targets) =>
+    []
+        .concat(targets || [])
+        .reduce((memo, target) => memo.concat(target.split(',')), [])
+        .map((target) => target.trim())
+        .filter(Boolean);
+
+/**
+ * Selects entries by a list of targets. A target is an app name, an entry
+ * target such as `website/index.js`, a JS or CSS entry such as `index.less`,
+ * or a glob of any of these such as `website/*`. Targets starting with `!`
+ * exclude what they match, when every target is an exclusion they apply to
+ * all entries.
+ *
+ * @param {object[]} entries - Entries, see `describeEntries`
+ * @param {string|string[]} targets - Targets to select
+ * @returns {object} - `{ selected, unmatched }`, the selected entries and
+ * the targets which matched no entry at all
+ */
+function selectEntries(entries, targets) {
+    const parsed = parseTargets(targets);
+    const includes = parsed.filter((target) => target[0] !== '!');
+    const excludes = parsed
+        .filter((target) => target[0] === '!')
+        .map((target) => target.slice(1));
+
+    const selected = entries.filter(
+        (entry) =>
+            (!includes.length ||
+                includes.some((target) => matchesTarget(entry, target))) &&
+            !excludes.some((target) => matchesTarget(entry, target))
+    );
+
+    const unmatched = parsed.filter((target) => {
+        const pattern = target[0] === '!' ? target.slice(1) : target;
+        return !entries.some((entry) => matchesTarget(entry, pattern));
+    });
+
+    return { selected, unmatched };
+}
+
+/**
+ * Same as `selectEntries`, but throws when a target matches no entry, or
+ * when nothing is left to build, so a typo never silently builds nothing.
+ *
+ * @param {object[]} entries - Entries, see `describeEntries`
+ * @param {string|string[]} targets - Targets to select
+ * @returns {object[]} - selected entries
+ */
+function resolveEntryTargets(entries, targets) {
+    const { selected, unmatched } = selectEntries(entries, targets);
+
+    if (unmatched.length) {
+        const names = entries.reduce(
+            (memo, entry) => memo.concat(namesOf(entry)),
+            []
+        );
+
+        throw new Error(
+            unmatched
+                .map(
+                    (target) =>
+                        `Entry target '${target}' matched no entries` +
+                        didYouMean(target.replace(/^!/, ''), names)
+                )
+                .join('\n')
+        );
+    }
+
+    if (!selected.length) {
+        throw new Error(
+            `Entry targets '${parseTargets(targets).join(',')}' ` +
+                'selected no entries'
+        );
+    }
+
+    return selected;
+}
+
+module.exports = {
+    describeEntries,
+    matchesTarget,
+    parseTargets,
+    selectEntries,
+    resolveEntryTargets,
+};
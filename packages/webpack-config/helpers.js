@@ -0,0 +1,59 @@
+// Helpers shared by the on-demand server, the command-line tools and the
+// reports of the build.
+
+/**
+ * Escapes text for use in HTML content and double quoted attributes.
+ *
+ * @param {*} str - Text, converted to a string
+ * @returns {string} - escaped text
+ */
+const escapeHtml = (str) =>
+    String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+/**
+ * Formats a number of bytes, or a difference in bytes, in B or KiB.
+ *
+ * @param {number} bytes - Size, may be negative
+ * @returns {string} - e.g. `512 B` or `-1.5 KiB`
+ */
+const formatSize = (bytes) =>
+    Math.abs(bytes) < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KiB`;
+
+/**
+ * Walks command line arguments, supporting `--flag value` and `--flag=value`.
+ * Each flag is handed to its handler along with a function taking its value,
+ * anything else to `onArgument`. Unknown flags, and every argument when
+ * `onArgument` is left out, throw.
+ *
+ * @param {string[]} argv - Arguments without the node and script path
+ * @param {object} handlers - Handlers keyed by flag, e.g. `--cwd`
+ * @param {function(string): void} [onArgument] - Handles other arguments
+ */
+function parseCommandLine(argv, handlers, onArgument) {
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const takeValue = () => {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+
+            if (value === undefined) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+
+            return value;
+        };
+
+        if (Object.keys(handlers).includes(flag)) {
+            handlers[flag](takeValue, flag);
+        } else if (argv[i][0] === '-' || !onArgument) {
+            throw new Error(`Unknown option '${argv[i]}'`);
+        } else {
+            onArgument(argv[i]);
+        }
+    }
+}
+
+module.exports = { escapeHtml, formatSize, parseCommandLine };
@@ -0,0 +1,51 @@
+const percent = (hits, total) => `${Math.round((hits / total) * 100)}%`;
+
+/**
+ * Logs the hit rate of the postcss-import cache for each compilation which
+ * rebuilt stylesheets, along with the totals since the cache was created.
+ * Logged at the `log` level of the `postcss-import` logger, shown with
+ * `--stats-logging log` or `stats: { logging: 'log' }`.
+ */
+class ImportCacheStatsPlugin {
+    /**
+     * @param {object} cache - Cache created by `ImportPlugin.createCache`
+     */
+    constructor(cache) {
+        this.cache = cache;
+    }
+
+    apply(compiler) {
+        compiler.hooks.thisCompilation.tap(
+            'ImportCacheStatsPlugin',
+            (compilation) => {
+                const before = this.cache.stats();
+
+                compilation.hooks.finishModules.tap(
+                    'ImportCacheStatsPlugin',
+                    () => {
+                        const after = this.cache.stats();
+                        const hits = after.hits - before.hits;
+                        const total = hits + after.misses - before.misses;
+                        const allTotal = after.hits + after.misses;
+
+                        if (!total) {
+                            return;
+                        }
+
+                        compilation
+                            .getLogger('postcss-import')
+                            .log(
+                                `Import cache: ${hits}/${total} hits ` +
+                                    `(${percent(hits, total)}), ` +
+                                    `${after.hits}/${allTotal} overall ` +
+                                    `(${percent(after.hits, allTotal)}), ` +
+                                    `${after.files} files cached`
+                            );
+                    }
+                );
+            }
+        );
+    }
+}
+
+module.exports = { ImportCacheStatsPlugin };
@@ -0,0 +1,46 @@
+const remapping = require('@ampproject/remapping');
+
+// Maps of the postcss-import step, waiting for less-loader to compile the
+// same module.
+const importMaps = new WeakMap();
+
+/**
+ * Carries source maps across less-loader, which drops the map of the
+ * previous loader. Used twice around less-loader: with `phase: 'before'` it
+ * keeps the map of the postcss-import step, which points every rule at the
+ * LESS partial it was imported from, with `phase: 'after'` it traces the map
+ * of the compiled CSS back through it. Without source maps it does nothing.
+ *
+ * @param {string} content - Stylesheet
+ * @param {object} [map] - Source map of the previous loader
+ */
+module.exports = function lessSourceMapLoader(content, map, meta) {
+    const { phase } = this.getOptions();
+
+    if (phase === 'before') {
+        if (this.sourceMap && map) {
+            importMaps.set(this._module, map);
+        }
+
+        return this.callback(null, content, map, meta);
+    }
+
+    const importMap = importMaps.get(this._module);
+    importMaps.delete(this._module);
+
+    if (!importMap || !map) {
+        return this.callback(null, content, map, meta);
+    }
+
+    // less-loader maps to the combined stylesheet, which only exists in
+    // memory, resolve that one through the import map. Files LESS imported
+    // on its own are already mapped.
+    this.callback(
+        null,
+        content,
+        remapping(map, (file, { depth }) =>
+            depth === 1 && file === this.resourcePath ? importMap : null
+        ),
+        meta
+    );
+};
@@ -0,0 +1,289 @@
+const { URL, URLSearchParams } = require('url');
+const { escapeHtml } = require('./helpers');
+
+// Reserved route prefix of the status page and control actions, it is never
+// forwarded to a webpack-dev-server.
+const controlPathPrefix = '/__ondemand/';
+
+// Request bodies are only ever a handful of form fields.
+const maxBodySize = 64 * 1024;
+
+/**
+ * Reads the parameters of a control request from the query string and, for
+ * form or JSON posts, the request body.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<object>} - parameters
+ */
+function readParams(req) {
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    const params = Object.fromEntries(searchParams);
+
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        req.on('data', (chunk) => {
+            body += chunk;
+
+            if (body.length > maxBodySize) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+
+        req.on('end', () => {
+            const type = req.headers['content-type'] || '';
+
+            try {
+                if (type.startsWith('application/json') && body) {
+                    resolve({ ...params, ...JSON.parse(body) });
+                } else if (
+                    type.startsWith('application/x-www-form-urlencoded')
+                ) {
+                    resolve({
+                        ...params,
+                        ...Object.fromEntries(new URLSearchParams(body)),
+                    });
+                } else {
+                    resolve(params);
+                }
+            } catch (e) {
+                reject(new Error(`Invalid request body: ${e.message}`));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+const sendJson = (res, statusCode, data) => {
+    res.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+    });
+    res.end(JSON.stringify(data, null, 2) + '\n');
+};
+
+// Forms on the status page expect to land back on it, other clients get JSON.
+const wantsHtml = (req) => /text\/html/.test(req.headers.accept || '');
+
+const isJson = (req) =>
+    (req.headers['content-type'] || '').startsWith('application/json');
+
+// Browsers send the page a post comes from, `null` for opaque origins.
+const isSameOrigin = (req) => {
+    const source = req.headers.origin || req.headers.referer;
+
+    try {
+        return Boolean(source) && new URL(source).host === req.headers.host;
+    } catch {
+        return false;
+    }
+};
+
+const renderRow = (tag, cells) =>
+    `<tr>${cells.map((cell) => `<${tag}>${cell}</${tag}>`).join('')}</tr>`;
+
+const renderTable = (headings, rows) =>
+    rows.length
+        ? '<table>\n' +
+          renderRow('th', headings) +
+          '\n' +
+          rows.map((cells) => renderRow('td', cells)).join('\n') +
+          '\n</table>'
+        : '<p>None</p>';
+
+const renderAction = (action, entryTarget, label) =>
+    `<form method="post" action="${controlPathPrefix}${action}">` +
+    (entryTarget
+        ? '<input type="hidden" name="entry" ' +
+          `value="${escapeHtml(entryTarget)}">`
+        : '') +
+    `<button>${label}</button></form>`;
+
+/**
+ * Renders the status page, listing the entry targets, the dev server pool and
+ * recent asset resolutions along with forms for each action.
+ *
+ * @param {object} status - Status, as returned by the status endpoint
+ * @returns {string} - HTML
+ */
+function renderStatusPage(status) {
+    const compileResults = (compilations) =>
+        Object.keys(compilations)
+            .map((name) => {
+                const { status: result, errors } = compilations[name];
+                return (
+                    `${escapeHtml(name)}: ${escapeHtml(result)}` +
+                    errors
+                        .map((error) => `<pre>${escapeHtml(error)}</pre>`)
+                        .join('')
+                );
+            })
+            .join('<br>') || 'pending';
+
+    return (
+        '<!doctype html>\n' +
+        '<meta charset="utf-8">\n' +
+        '<title>On-demand server</title>\n' +
+        '<style>\n' +
+        'body { font: 14px sans-serif; margin: 2em; }\n' +
+        'table { border-collapse: collapse; margin-bottom: 1em; }\n' +
+        'th, td { border: 1px solid #ccc; padding: 4px 8px; ' +
+        'text-align: left; vertical-align: top; }\n' +
+        'form { display: inline; }\n' +
+        'pre { margin: 4px 0; color: #b00; white-space: pre-wrap; }\n' +
+        '</style>\n' +
+        '<h1>On-demand server</h1>\n' +
+        `<p><a href="${controlPathPrefix}status.json">JSON</a> ` +
+        renderAction('reset', undefined, 'Reset') +
+        '</p>\n' +
+        '<h2>Entries</h2>\n' +
+        renderTable(
+            ['Entry target', 'Requested', ''],
+            status.availableEntries.map((entryTarget) => [
+                escapeHtml(entryTarget),
+                status.entries.includes(entryTarget) ? 'yes' : '',
+                renderAction('warm', entryTarget, 'Warm') +
+                    ' ' +
+                    renderAction('drop', entryTarget, 'Drop'),
+            ])
+        ) +
+        '\n<h2>webpack-dev-server processes</h2>\n' +
+        renderTable(
+            ['Entry targets', 'PID', 'Port', 'Last used', 'Last compile'],
+            status.devServers.map((devServer) => [
+                devServer.entryTargets.map(escapeHtml).join('<br>'),
+                devServer.pid,
+                devServer.port,
+                escapeHtml(devServer.lastUsed),
+                compileResults(devServer.compilations),
+            ])
+        ) +
+        '\n<h2>Recent asset resolutions</h2>\n' +
+        renderTable(
+            ['Time', 'URL', 'Asset', 'Entry target'],
+            status.resolutions
+                .slice()
+                .reverse()
+                .map(({ time, url, asset, entryTarget }) => [
+                    escapeHtml(time),
+                    escapeHtml(url),
+                    escapeHtml(asset),
+                    entryTarget ? escapeHtml(entryTarget) : '<em>no match</em>',
+                ])
+        ) +
+        '\n'
+    );
+}
+
+/**
+ * Handles a request under `/__ondemand/`.
+ *
+ *   GET  /__ondemand/             status page
+ *   GET  /__ondemand/status.json  status as JSON
+ *   POST /__ondemand/warm         start the process of `entry`
+ *   POST /__ondemand/drop         stop the processes building `entry`
+ *   POST /__ondemand/reset        stop every process and forget all entries
+ *
+ * Actions take their `entry` from the query string, a form or a JSON body,
+ * and respond with the status afterwards. They must be posted from this
+ * server's own pages or with a JSON body, which browsers do not send to
+ * another site without its consent, so other sites cannot post forms here.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Outgoing response
+ * @param {object} control - Server hooks
+ * @param {function(): object} control.getStatus - Current status
+ * @param {function(string): Promise<void>} control.warm - Warm an entry target
+ * @param {function(string): void} control.drop - Drop an entry target
+ * @param {function(): void} control.reset - Reset the server
+ * @param {function(string): void} control.validateEntryTarget - Throws
+ * when an entry target matches no entry
+ */
+async function handleControlRequest(req, res, control) {
+    const route = new URL(req.url, 'http://localhost').pathname.slice(
+        controlPathPrefix.length
+    );
+
+    if (route === '' || route === 'status.json') {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' });
+            return res.end();
+        }
+
+        if (route === 'status.json') {
+            return sendJson(res, 200, control.getStatus());
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-store',
+        });
+        return res.end(renderStatusPage(control.getStatus()));
+    }
+
+    if (!['warm', 'drop', 'reset'].includes(route)) {
+        return sendJson(res, 404, {
+            error: `Unknown on-demand route '${req.url}'`,
+        });
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, { Allow: 'POST' });
+        return res.end();
+    }
+
+    if (!isSameOrigin(req) && !isJson(req)) {
+        return sendJson(res, 403, {
+            error:
+                `On-demand ${route} must be posted from the status page or ` +
+                'with a JSON body',
+        });
+    }
+
+    let params;
+
+    try {
+        params = await readParams(req);
+    } catch (e) {
+        return sendJson(res, 400, { error: e.message });
+    }
+
+    const { entry } = params;
+
+    if (route !== 'reset') {
+        if (!entry) {
+            return sendJson(res, 400, {
+                error: `Missing 'entry' for ${route}`,
+            });
+        }
+
+        try {
+            control.validateEntryTarget(entry);
+        } catch (e) {
+            return sendJson(res, 404, { error: e.message });
+        }
+    }
+
+    if (route === 'warm') {
+        await control.warm(entry);
+    } else if (route === 'drop') {
+        control.drop(entry);
+    } else {
+        control.reset();
+    }
+
+    if (wantsHtml(req)) {
+        res.writeHead(303, { Location: controlPathPrefix });
+        return res.end();
+    }
+
+    sendJson(res, 200, control.getStatus());
+}
+
+module.exports = {
+    controlPathPrefix,
+    handleControlRequest,
+    sendJson,
+};
@@ -1,24 +1,69 @@
 const gutil = require('gulp-util');
 const path = require('path');
+const { proxyRequest, proxyUpgrade } = require('./proxy');
+const {
+    describeEntries,
+    selectEntries,
+    resolveEntryTargets,
+} = require('./entry-targets');
+const {
+    controlPathPrefix,
+    handleControlRequest,
+    sendJson,
+} = require('./ondemand-control');
+const { escapeHtml } = require('./helpers');
+
+// Each dev server receives its websocket (sockjs) traffic under its own path,
+// e.g. `/ws/8081`, so HMR connections can be routed to the owning process.
+const socketPathPrefix = '/ws/';
 
 let httpServer;
-let webpackDevServer;
+
+// Running webpack-dev-server processes keyed by their group of entry
+// targets. Each one owns its own port.
+const webpackDevServers = new Map();
+
+// Ports of stopped processes which have not exited yet, these cannot be
+// handed out until they are released.
+const closingPorts = new Set();
 
 // To be used for determining if an entry point has been previously used.
-// const webpackEntryPoints = new Set();
+const webpackEntryPoints = new Set();
 exports.webpackEntryPoints = webpackEntryPoints;
 
+// Most recent asset to entry target resolutions, oldest first, shown on the
+// status page to debug assets which do not match an entry.
+const resolutionLog = [];
+const maxResolutionLogSize = 100;
+
+// Milliseconds entries are reused for between asset requests. Reading them
+// globs the pages directory of every app, too slow to repeat for each asset
+// of a page load.
+const maxEntriesAge = 2000;
+
 /**
  * Creates a new Webpack On Demand Server which intercepts asset connections
  * and spins up an appropriate webpack-dev-server to monitor, rebuild and
  * refresh the page.
  *
+ * Entries are served from a pool of webpack-dev-server processes. Entries
+ * configured to share a process via `webpack.ondemand.groups` are built
+ * together, all others get a process of their own. Processes bind to
+ * consecutive ports starting at `devServerPort` and once
+ * `webpack.ondemand.max.servers` is reached the least recently used process
+ * is stopped.
+ *
+ * Requests under `/__ondemand/` are reserved for the status page and control
+ * actions, see `ondemand-control`.
+ *
  * @param {object} options - Required arguments
  * @param options.props - Configuration
  * @param options.port - Port to start the on demand server on
- * @param options.entryTargets - Allow warming a webpack-dev-server process
- * @param options.devServerPort - What port to bind webpack-dev-server to
- * @param options.pino - Use this for logging purposes
+ * @param options.entryTargets - Allow warming a webpack-dev-server process,
+ * targets use the same syntax as ENTRY_TARGET
+ * @param options.devServerPort - First port to bind webpack-dev-server to
+ * @param options.pino - Use this for logging purposes, the output of
+ * webpack-dev-server is written to `pino.stdin`
  * @param options.cwd - The working directory for the app
  */
 exports.create = ({
@@ -31,99 +76,284 @@ exports.create = ({
 }) => {
     const http = require('http');
     const waitPort = require('wait-port');
-    const paths = props.get('paths');
+    const pool = {
+        basePort: devServerPort,
+        maxServers: props.get('webpack.ondemand.max.servers'),
+        compileTimeout: props.get('webpack.ondemand.compile.timeout'),
+        groups: props.get('webpack.ondemand.groups'),
+        entries: describeEntries(props),
+        entriesReadAt: Date.now(),
+        pino,
+        cwd,
+    };
 
-    const reset = () => {
-        // If there is an existing on-demand server, close before creating a
-        // new one.
-        if (httpServer) {
-            httpServer.close();
+    // Pages discovered by convention come and go while the server runs.
+    const readEntries = () => {
+        pool.entries = describeEntries(props);
+        pool.entriesReadAt = Date.now();
+    };
+
+    // Entries are read again once they are `maxEntriesAge` old or a dev
+    // server started compiling, see `spawnWebpackForEntry`.
+    const refreshEntries = () => {
+        if (Date.now() - pool.entriesReadAt >= maxEntriesAge) {
+            readEntries();
         }
+    };
 
+    const reset = () => {
         // Ensure known entry points are cleared after a reload.
         webpackEntryPoints.clear();
+        resolutionLog.length = 0;
 
-        // Ensure the dev server is terminated when reset.
-        webpackDevServer && webpackDevServer.kill();
-
-        // No longer used
-        webpackDevServer = undefined;
+        // Ensure the dev servers are terminated when reset.
+        Array.from(webpackDevServers.keys()).forEach(stopDevServer);
     };
 
+    // If there is an existing on-demand server, close before creating a new
+    // one.
+    if (httpServer) {
+        httpServer.close();
+    }
+
     // Reset the environment whenever create is called.
     reset();
 
-    // Prime a webpack-dev-server process at startup to get faster cold boot
+    // Prime webpack-dev-server processes at startup to get faster cold boot
     // times.
     if (entryTargets && entryTargets.length) {
-        spawnWebpackForEntry(entryTargets, devServerPort, pino, cwd);
+        // Fail on typos rather than starting a process which builds nothing.
+        entryTargets.forEach((target) =>
+            resolveEntryTargets(pool.entries, target)
+        );
+        spawnWebpackForEntry(entryTargets, pool).catch((e) => {
+            gutil.log(
+                gutil.colors.red(
+                    `Unable to warm ${entryTargets.join(', ')}: ${e.message}`
+                )
+            );
+        });
     }
 
     // Forward the request to the webpack-dev-server port.
-    const proxyRequest = (url, res) => {
-        gutil.log(`Making request to http://localhost:${devServerPort}${url}`);
-        return require('request')(`http://localhost:${devServerPort}${url}`)
-            .on('error', (err) => {
-                gutil.log(err);
-                res.statusCode = 404;
-                res.end();
-            })
-            .pipe(res);
+    const forwardRequest = (req, res, devServerPort) => {
+        gutil.log(
+            `Making request to http://localhost:${devServerPort}${req.url}`
+        );
+        return proxyRequest(req, res, { port: devServerPort });
+    };
+
+    // Find the dev server owning a websocket path, e.g. `/ws/8081/info`.
+    const getDevServerForSocket = (url) => {
+        const port = Number(url.slice(socketPathPrefix.length).split('/')[0]);
+
+        return Array.from(webpackDevServers.values()).find(
+            (devServer) => devServer.port === port
+        );
+    };
+
+    // Proxy to the most recently used server, for assets that cannot be
+    // traced back to an entry.
+    const proxyToActiveServer = async (req, res) => {
+        const devServer = getActiveDevServer();
+
+        if (!devServer) {
+            gutil.log(`No webpack-dev-server is running to serve '${req.url}'`);
+            res.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end(
+                `No webpack-dev-server is running to serve '${req.url}'\n`
+            );
+        }
+
+        // Set a timeout since the server may still be starting.
+        await waitPort({ port: devServer.port, timeout: 1000 });
+
+        return forwardRequest(req, res, devServer.port);
+    };
+
+    const control = {
+        getStatus: () => ({
+            entries: Array.from(webpackEntryPoints),
+            availableEntries: pool.entries.map(({ target }) => target),
+            devServers: Array.from(webpackDevServers.values()).map(
+                (devServer) => ({
+                    entryTargets: devServer.entryTargets,
+                    pid: devServer.child.pid,
+                    port: devServer.port,
+                    lastUsed: new Date(devServer.lastUsed).toISOString(),
+                    compilations: Object.fromEntries(devServer.compilations),
+                })
+            ),
+            resolutions: resolutionLog,
+        }),
+        validateEntryTarget: (entryTarget) => {
+            resolveEntryTargets(pool.entries, entryTarget);
+        },
+        warm: (entryTarget) => spawnWebpackForEntry([entryTarget], pool),
+        // Targets may name an app or a glob, stop every process building
+        // one of the entries they select.
+        drop: (entryTarget) => {
+            const dropped = resolveEntryTargets(pool.entries, entryTarget).map(
+                ({ target }) => target
+            );
+
+            [entryTarget, ...dropped].forEach((target) =>
+                webpackEntryPoints.delete(target)
+            );
+
+            Array.from(webpackDevServers.entries())
+                .filter(([, devServer]) =>
+                    dropped.some((target) =>
+                        selectsEntry(
+                            devServer.entryTargets,
+                            target,
+                            pool.entries
+                        )
+                    )
+                )
+                .forEach(([key]) => stopDevServer(key));
+        },
+        reset,
     };
 
     // Create an HTTP server to intercept local assets and automatically spin
     // up a development server to build them.
     httpServer = http.createServer(async (req, res) => {
+        if (req.url.startsWith(controlPathPrefix)) {
+            readEntries();
+
+            // e.g. a warmed process failing to spawn.
+            return handleControlRequest(req, res, control).catch((e) => {
+                gutil.log(gutil.colors.red(e));
+
+                if (res.headersSent) {
+                    return res.end();
+                }
+
+                sendJson(res, 500, { error: e.message });
+            });
+        }
+
+        // Long polling sockjs transports are plain HTTP requests.
+        if (req.url.startsWith(socketPathPrefix)) {
+            const devServer = getDevServerForSocket(req.url);
+
+            if (!devServer) {
+                res.writeHead(502, {
+                    'Content-Type': 'text/plain; charset=utf-8',
+                });
+                return res.end(`No webpack-dev-server owns '${req.url}'\n`);
+            }
+
+            return forwardRequest(req, res, devServer.port);
+        }
+
+        refreshEntries();
+
         const { dir, name } = path.parse(req.url.split('?')[0]);
-        // Extension-less.
-        const asset = `/${dir}/${name}`.slice(paths.publicPath.length + 1);
+        // Extension-less, public paths are stripped per app.
+        const asset = path.posix.join(dir, name);
 
         if (asset.endsWith('.hot-update')) {
-            return proxyRequest(req.url, res);
+            // Hot updates are named after the entry chunk followed by the
+            // compilation hash, e.g. `index.js.<hash>.hot-update`.
+            const hotEntry = findRootEntryForAsset(
+                props,
+                pool.entries,
+                asset.replace(/\.[^.]+\.hot-update$/, '')
+            );
+            const devServer =
+                hotEntry && getDevServerForEntry(hotEntry, pool);
+
+            logResolution(req.url, asset, hotEntry);
+
+            return devServer
+                ? forwardRequest(req, res, devServer.port)
+                : proxyToActiveServer(req, res);
         }
 
         // Look up the root entry point
-        const rootEntryPoint = findRootEntryForAsset(props, asset);
+        const rootEntryPoint = findRootEntryForAsset(
+            props,
+            pool.entries,
+            asset
+        );
+
+        logResolution(req.url, asset, rootEntryPoint);
 
         // If we cannot determine what root entry point an asset corresponds to
-        // then try and redirect it to the currently running server as it is
+        // then try and redirect it to the most recently used server as it is
         // most likely a dynamic import.
         if (!rootEntryPoint) {
             gutil.log(
                 `Unable to find entry point match for '${asset}'; will try active webpack-dev-server`
             );
 
-            // Set a timeout since no server may be running.
-            await waitPort({ port: devServerPort, timeout: 1000 });
-
-            return proxyRequest(req.url, res);
-        }
-
-        // Create or reuse a webpack-dev-server process for the given entry point.
-        const { reused } = await spawnWebpackForEntry(
-            [rootEntryPoint],
-            devServerPort,
-            pino,
-            cwd
-        );
-
-        // Give one second for server to be ready to accept connections
-        if (!reused) {
-            await new Promise((resolve) => setTimeout(resolve, 1000));
+            return proxyToActiveServer(req, res);
         }
 
         try {
-            await waitPort({ port: devServerPort });
+            // Create or reuse a webpack-dev-server process for the given
+            // entry point.
+            const [{ devServer }] = await spawnWebpackForEntry(
+                [rootEntryPoint],
+                pool
+            );
+
             gutil.log(
                 `Found entry point '${rootEntryPoint}' for asset ${asset}`
             );
 
-            proxyRequest(req.url, res);
+            // Hold the request until the entry has been built, an open port
+            // does not mean the assets are ready.
+            const { status, errors } = await waitForCompile(
+                devServer,
+                rootEntryPoint.split('/')[0],
+                pool.compileTimeout
+            );
+
+            if (status === 'failed') {
+                gutil.log(
+                    gutil.colors.red(
+                        `Entry point '${rootEntryPoint}' failed to compile`
+                    )
+                );
+                return sendCompileErrors(req, res, rootEntryPoint, errors);
+            }
+
+            await waitPort({ port: devServer.port, timeout: 5000 });
+            forwardRequest(req, res, devServer.port);
         } catch (e) {
+            const title =
+                `webpack-dev-server for '${rootEntryPoint}' did not ` +
+                'respond';
+
             gutil.log(gutil.colors.red(e));
+            res.writeHead(504, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(
+                '<!doctype html>\n' +
+                    `<title>${escapeHtml(title)}</title>\n` +
+                    `<h1>${escapeHtml(title)}</h1>\n` +
+                    `<pre>${escapeHtml(e.message)}</pre>\n`
+            );
         }
     });
 
+    // Upgrade websocket connections, used for hot reloading, on the dev
+    // server which owns them.
+    httpServer.on('upgrade', (req, socket, head) => {
+        const devServer =
+            req.url.startsWith(socketPathPrefix) &&
+            getDevServerForSocket(req.url);
+
+        if (!devServer) {
+            gutil.log(`No webpack-dev-server owns websocket '${req.url}'`);
+            return socket.end('HTTP/1.1 502 Bad Gateway\r\n\r\n');
+        }
+
+        proxyUpgrade(req, socket, head, { port: devServer.port });
+    });
+
     httpServer.on('error', (e) => {
         console.error(e);
     });
@@ -132,138 +362,545 @@ exports.create = ({
 
     // Public API
     return {
-        getDevServer() {
-            return webpackDevServer;
+        getDevServer(entryTarget) {
+            const devServer = entryTarget
+                ? webpackDevServers.get(getGroupKey(entryTarget, pool))
+                : getActiveDevServer();
+
+            return devServer && devServer.child;
+        },
+        getDevServers() {
+            return Array.from(webpackDevServers.values());
         },
         reset() {
             return reset();
         },
+        /**
+         * Stops the on-demand server and every webpack-dev-server process.
+         *
+         * @returns {Promise<void>} - resolves once everything has exited
+         */
+        close() {
+            const server = httpServer;
+            const exited = Array.from(webpackDevServers.values())
+                .map(({ child }) => child)
+                .filter(
+                    (child) =>
+                        child.exitCode === null && child.signalCode === null
+                )
+                .map((child) => new Promise((r) => child.once('exit', r)));
+
+            reset();
+            server.close();
+            httpServer = undefined;
+
+            // Keep-alive connections would otherwise hold the server open.
+            if (server.closeAllConnections) {
+                server.closeAllConnections();
+            }
+
+            return Promise.all([
+                new Promise((resolve) => server.once('close', resolve)),
+                ...exited,
+            ]).then(() => {});
+        },
     };
 };
 
+// Path the assets of an app are served under, its `paths.publicPath`
+// without the origin and the trailing slash, e.g. `/static`.
+function publicPathOf(props, appName) {
+    const { publicPath } = props.forApp(appName).get('paths');
+
+    if (!publicPath || publicPath === 'auto') {
+        return '';
+    }
+
+    return new URL(publicPath, 'http://localhost/').pathname.replace(
+        /\/+$/,
+        ''
+    );
+}
+
 /**
- * Locates a webpack entry target from an asset name being requested. This
+ * Locates a webpack entry target from an asset path being requested. This
  * works by looking at the transpiled input entry points and matching them
- * to the requested file names.
+ * to the requested file names, within the apps whose public path the asset
+ * is under. Assets may be prefixed with an app name, e.g.
+ * `website/index.js`, to only look within that app.
  *
- * @param {*} props - Configuration
- * @param {string} asset - Asset to lookup in conductors to get entry asset
- * @returns undefined | string
+ * @param {object} props - Configuration
+ * @param {object[]} entries - Every entry, see `describeEntries`
+ * @param {string} asset - Extension-less path of the request
+ * @returns undefined | string - entry target in the form `<app>/<entry>`
  */
-function findRootEntryForAsset(props, asset) {
-    const appMetaData = props.get('applicationData');
-    const { entryPoints } = appMetaData.getEntryPoints();
+function findRootEntryForAsset(props, entries, asset) {
+    const apps = props.get('apps');
+
+    // Pair every app serving the asset with the asset relative to its
+    // public path.
+    const appAssets = apps.reduce((memo, appName) => {
+        const publicPath = publicPathOf(props, appName);
+
+        if (
+            publicPath &&
+            asset !== publicPath &&
+            !asset.startsWith(`${publicPath}/`)
+        ) {
+            return memo;
+        }
 
-    let rootEntry;
+        const normalizedAsset = asset
+            .slice(publicPath.length)
+            .replace(/^\/+/, '');
+        const [prefix, ...rest] = normalizedAsset.split('/');
 
-    entryPoints.forEach((entryPoints) => {
-        if (rootEntry) {
-            return;
+        // Target an app by name when the asset is prefixed with it.
+        if (rest.length > 0 && apps.includes(prefix)) {
+            return prefix === appName
+                ? memo.concat([[appName, rest.join('/')]])
+                : memo;
         }
 
-        const [jsEntries, cssEntries] = entryPoints;
+        return memo.concat([[appName, normalizedAsset]]);
+    }, []);
 
-        // Has JS match
-        let hasMatch = false;
-
-        jsEntries.forEach((jsEntry) => {
-            if (!hasMatch && jsEntry === asset) {
-                hasMatch = true;
-            }
-        });
-
-        cssEntries.forEach((cssEntry) => {
-            const { dir, name } = path.parse(cssEntry);
-            const basename = `${dir}/${name}`;
-            // rtl files are a byproduct of the original css file, so remove
-            // the suffix in the file.
-            const hasRTL = asset.slice(-4) === '.rtl';
-            const assetWithoutRTL = hasRTL ? asset.slice(0, -4) : asset;
-
-            // For fakira strip the src/less prefix from the route for matching.
-            if (assetWithoutRTL.indexOf('src/less/') === 0) {
-                assetWithoutRTL = assetWithoutRTL.slice('src/less/'.length);
-            }
+    let rootEntry;
 
-            // Check if the css file matches the asset.
-            if (!hasMatch && basename === assetWithoutRTL) {
-                hasMatch = true;
-            }
-        });
+    appAssets.forEach(([appName, appAsset]) => {
+        // rtl files are a byproduct of the original css file, so remove the
+        // suffix in the file.
+        const hasRTL = appAsset.slice(-4) === '.rtl';
+        let assetWithoutRTL = hasRTL ? appAsset.slice(0, -4) : appAsset;
 
-        if (hasMatch) {
-            // Always use the first JS asset as the root entry.
-            rootEntry = jsEntries[0];
+        // For fakira strip the src/less prefix from the route for matching.
+        if (assetWithoutRTL.indexOf('src/less/') === 0) {
+            assetWithoutRTL = assetWithoutRTL.slice('src/less/'.length);
         }
+
+        entries
+            .filter(({ app }) => app === appName)
+            .forEach(({ js: jsEntries, css: cssEntries }) => {
+                if (rootEntry) {
+                    return;
+                }
+
+                // Has JS match, extracted stylesheets are named after the entry
+                // chunk as well, e.g. `index.jsx.css` and `index.jsx.rtl.css`.
+                let hasMatch = false;
+
+                jsEntries.forEach((jsEntry) => {
+                    if (
+                        !hasMatch &&
+                        (jsEntry === appAsset || jsEntry === assetWithoutRTL)
+                    ) {
+                        hasMatch = true;
+                    }
+                });
+
+                cssEntries.forEach((cssEntry) => {
+                    const { dir, name } = path.parse(cssEntry);
+                    const basename = path.join(dir, name);
+
+                    // Check if the css file matches the asset.
+                    if (!hasMatch && basename === assetWithoutRTL) {
+                        hasMatch = true;
+                    }
+                });
+
+                if (hasMatch) {
+                    // Always use the first JS asset as the root entry.
+                    rootEntry = `${appName}/${jsEntries[0]}`;
+                }
+            });
     });
 
     return rootEntry;
 }
 
+// Record how a requested asset was resolved, dropping the oldest entries.
+function logResolution(url, asset, entryTarget) {
+    resolutionLog.push({
+        time: new Date().toISOString(),
+        url,
+        asset,
+        entryTarget: entryTarget || null,
+    });
+
+    if (resolutionLog.length > maxResolutionLogSize) {
+        resolutionLog.shift();
+    }
+}
+
 /**
- * Spawns a new webpack-dev-server for the given entry targets. Will
- * reuse the existing process if it already matches the assets being
- * requested.
+ * Whether a list of targets, such as a group or the targets of a process,
+ * selects an entry target. Matching follows the ENTRY_TARGET rules, so a
+ * list may name entries (`website/index.js`), whole apps (`website`) or
+ * globs (`website/*`).
  *
- * New entry targets are unified with the existing targets under a
- * single process. This is to simplify issues with websockets and
- * to reduce complexity.
- *
- * @param {string[]} entryTargets
- * @param {number} devServerPort
- * @param {object} pino
- * @param {string} cwd
- * @returns {Promise<void>}
+ * @param {string[]} targets - Targets to match against
+ * @param {string} entryTarget - Entry target in the form `<app>/<entry>`
+ * @param {object[]} entries - Entries, see `describeEntries`
+ * @returns {boolean} - selected
  */
-async function spawnWebpackForEntry(entryTargets, devServerPort, pino, cwd) {
-    const childProcess = require('child_process');
+function selectsEntry(targets, entryTarget, entries) {
+    const entry = entries.find(({ target }) => target === entryTarget);
+
+    return (
+        targets.includes(entryTarget) ||
+        (!!entry && selectEntries([entry], targets).selected.length > 0)
+    );
+}
 
-    // Determine if we have new targets incoming to spin up a new server or if
-    // we can simply reuse the existing server.
-    const hasNewTargets = entryTargets.some(
-        (target) => !webpackEntryPoints.has(target)
+/**
+ * Finds the group of entry targets which share a process with the given
+ * entry target.
+ *
+ * @param {string} entryTarget - Entry target in the form `<app>/<entry>`
+ * @param {object} pool - Pool options
+ * @returns {string[]} - the group, or a group of just the entry target
+ */
+function getGroup(entryTarget, { groups, entries }) {
+    const group = groups.find((targets) =>
+        selectsEntry(targets, entryTarget, entries)
     );
 
-    if (!hasNewTargets) {
-        return { reused: true };
+    return group || [entryTarget];
+}
+
+const getGroupKey = (entryTarget, pool) =>
+    getGroup(entryTarget, pool).join(',');
+
+// The most recently used webpack-dev-server.
+function getActiveDevServer() {
+    return Array.from(webpackDevServers.values()).sort(
+        (a, b) => b.lastUsed - a.lastUsed
+    )[0];
+}
+
+/**
+ * Returns the running webpack-dev-server that owns an entry target and marks
+ * it as recently used.
+ *
+ * @param {string} entryTarget - Entry target in the form `<app>/<entry>`
+ * @param {object} pool - Pool options
+ * @returns {object|undefined} - dev server
+ */
+function getDevServerForEntry(entryTarget, pool) {
+    // Fall back to a process whose targets select the entry, e.g. one warmed
+    // with just the app name.
+    const devServer =
+        webpackDevServers.get(getGroupKey(entryTarget, pool)) ||
+        Array.from(webpackDevServers.values()).find(({ entryTargets }) =>
+            selectsEntry(entryTargets, entryTarget, pool.entries)
+        );
+
+    if (devServer) {
+        devServer.lastUsed = Date.now();
+    }
+
+    return devServer;
+}
+
+// Lowest port, counting up from the base port, not used by the pool.
+function getFreePort({ basePort }) {
+    const usedPorts = [
+        ...Array.from(webpackDevServers.values()).map(({ port }) => port),
+        ...closingPorts,
+    ];
+
+    let port = basePort;
+    while (usedPorts.includes(port)) {
+        port++;
     }
 
-    // Start tracking new entry targets.
-    entryTargets.forEach((target) => webpackEntryPoints.add(target));
+    return port;
+}
+
+// Stop a webpack-dev-server, its port stays reserved until it has exited.
+function stopDevServer(key) {
+    const devServer = webpackDevServers.get(key);
+    const { child, port } = devServer;
+
+    if (child.exitCode === null && child.signalCode === null) {
+        closingPorts.add(port);
+        child.once('exit', () => closingPorts.delete(port));
+        child.kill();
+    }
+
+    webpackDevServers.delete(key);
+}
 
-    // A unified array of entry points containing all assets that have been
-    // requested during the development session.
-    const unifiedEntryPoints = Array.from(webpackEntryPoints);
+// Stop the least recently used webpack-dev-server.
+function evictDevServer() {
+    const [key, devServer] = Array.from(webpackDevServers.entries()).sort(
+        ([, a], [, b]) => a.lastUsed - b.lastUsed
+    )[0];
 
     gutil.log(
-        'Spawning webpack for targets',
-        Array.from(unifiedEntryPoints),
-        'in directory',
-        cwd
+        'Stopping least recently used webpack-dev-server for targets',
+        devServer.entryTargets,
+        'on port',
+        devServer.port
     );
 
-    // Wait for existing dev server to exit before launching new one.
-    if (webpackDevServer) {
-        webpackDevServer.kill();
+    stopDevServer(key);
+}
+
+/**
+ * Resolves once the given app has finished compiling in a dev server, with
+ * the compile status and errors. Rejects if the process exits or fails to
+ * spawn first, or the compile takes longer than `timeout`.
+ *
+ * @param {object} devServer - Dev server from the pool
+ * @param {string} appName - Name of the app, the webpack config name
+ * @param {number} [timeout] - Milliseconds to wait, 0 waits indefinitely
+ * @returns {Promise<object>} - `{ status, errors }`
+ */
+function waitForCompile(devServer, appName, timeout = 0) {
+    const getSettled = () => {
+        const compilation = devServer.compilations.get(appName);
+
+        return compilation && compilation.status !== 'compiling'
+            ? compilation
+            : undefined;
+    };
+
+    if (getSettled()) {
+        return Promise.resolve(getSettled());
     }
 
-    // Start a server with all assets tracked.
-    webpackDevServer = childProcess.spawn(
-        'node',
-        [
-            path.join(require.resolve('webpack'), '../../../.bin', 'webpack'),
-            'serve',
-            '--port',
-            String(devServerPort),
-        ],
-        {
-            stdio: ['pipe', pino.stdin, process.stderr],
-            env: {
-                ...process.env,
-                ENTRY_TARGET: Array.from(webpackEntryPoints).join(','),
-            },
-            cwd,
-        }
+    if (devServer.error) {
+        return Promise.reject(devServer.error);
+    }
+
+    return new Promise((resolve, reject) => {
+        const { child } = devServer;
+
+        const onMessage = () => {
+            if (getSettled()) {
+                cleanup();
+                resolve(getSettled());
+            }
+        };
+
+        const onExit = (code) => {
+            cleanup();
+            reject(
+                new Error(
+                    `webpack-dev-server exited with code ${code} before ` +
+                        `'${appName}' compiled`
+                )
+            );
+        };
+
+        const onError = (e) => {
+            cleanup();
+            reject(e);
+        };
+
+        const timer =
+            timeout > 0 &&
+            setTimeout(() => {
+                cleanup();
+                reject(
+                    new Error(
+                        `'${appName}' did not finish compiling within ` +
+                            `${timeout}ms`
+                    )
+                );
+            }, timeout);
+
+        const cleanup = () => {
+            clearTimeout(timer);
+            child.off('message', onMessage);
+            child.off('exit', onExit);
+            child.off('error', onError);
+        };
+
+        child.on('message', onMessage);
+        child.on('exit', onExit);
+        child.on('error', onError);
+    });
+}
+
+const escapeCss = (str) =>
+    str.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\A ');
+
+/**
+ * Responds with the webpack errors of a failed compile in a form that shows
+ * up where the asset was requested. Stylesheets render the errors on the
+ * page, scripts log them to the console and anything else gets an HTML page.
+ * Stylesheets and scripts respond with a 200, browsers ignore them
+ * otherwise.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Outgoing response
+ * @param {string} entryTarget - Entry that failed to compile
+ * @param {string[]} errors - Webpack errors
+ */
+function sendCompileErrors(req, res, entryTarget, errors) {
+    const { ext } = path.parse(req.url.split('?')[0]);
+    const title = `webpack failed to compile '${entryTarget}'`;
+    const details = errors.join('\n\n');
+
+    if (ext === '.css') {
+        res.writeHead(200, { 'Content-Type': 'text/css; charset=utf-8' });
+        return res.end(
+            'body::before {\n' +
+                `  content: "${escapeCss(`${title}\n\n${details}`)}";\n` +
+                '  display: block;\n' +
+                '  padding: 1em;\n' +
+                '  white-space: pre-wrap;\n' +
+                '  font: 14px monospace;\n' +
+                '  color: #fff;\n' +
+                '  background: #b00;\n' +
+                '}\n'
+        );
+    }
+
+    if (ext === '.js') {
+        res.writeHead(200, {
+            'Content-Type': 'application/javascript; charset=utf-8',
+        });
+        return res.end(
+            `console.error(${JSON.stringify(`${title}\n\n${details}`)});\n`
+        );
+    }
+
+    res.writeHead(500, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(
+        '<!doctype html>\n' +
+            `<title>${escapeHtml(title)}</title>\n` +
+            `<h1>${escapeHtml(title)}</h1>\n` +
+            errors.map((error) => `<pre>${escapeHtml(error)}</pre>`).join('\n')
     );
-    return { reused: false };
+}
+
+/**
+ * Spawns a webpack-dev-server for each group the given entry targets belong
+ * to. Will reuse the existing process of a group if it is already running.
+ *
+ * A process is started with every target of its group, so entries sharing a
+ * process never cause it to restart.
+ *
+ * @param {string[]} entryTargets
+ * @param {object} pool - Pool options
+ * @param {number} pool.basePort - First port to bind to
+ * @param {number} pool.maxServers - Maximum number of processes
+ * @param {number} pool.compileTimeout - Milliseconds to wait for a compile
+ * @param {string[][]} pool.groups - Entry targets which share a process
+ * @param {object[]} pool.entries - Every entry, see `describeEntries`
+ * @param {number} pool.entriesReadAt - When the entries were read
+ * @param {object} pool.pino
+ * @param {string} pool.cwd
+ * @returns {Promise<object[]>} - dev server per entry target
+ */
+async function spawnWebpackForEntry(entryTargets, pool) {
+    const childProcess = require('child_process');
+    const { maxServers, pino, cwd } = pool;
+
+    return entryTargets.map((entryTarget) => {
+        // Start tracking new entry targets.
+        webpackEntryPoints.add(entryTarget);
+
+        const existing = getDevServerForEntry(entryTarget, pool);
+
+        if (existing) {
+            return { reused: true, devServer: existing };
+        }
+
+        const group = getGroup(entryTarget, pool);
+
+        // Make room for the new process.
+        while (webpackDevServers.size >= Math.max(maxServers, 1)) {
+            evictDevServer();
+        }
+
+        const port = getFreePort(pool);
+
+        gutil.log(
+            'Spawning webpack for targets',
+            group,
+            'on port',
+            port,
+            'in directory',
+            cwd
+        );
+
+        const devServer = {
+            entryTargets: group,
+            port,
+            lastUsed: Date.now(),
+            // Latest compile status per app, reported over IPC.
+            compilations: new Map(),
+            child: childProcess.spawn(
+                'node',
+                [
+                    path.join(
+                        require.resolve('webpack'),
+                        '../../../.bin',
+                        'webpack'
+                    ),
+                    'serve',
+                    '--port',
+                    String(port),
+                ],
+                {
+                    stdio: ['pipe', 'pipe', process.stderr, 'ipc'],
+                    env: {
+                        ...process.env,
+                        ENTRY_TARGET: group.join(','),
+                        WEBPACK_SOCKET_PATH: `${socketPathPrefix}${port}`,
+                    },
+                    cwd,
+                }
+            ),
+        };
+
+        // Route the output through the logger, which may be any writable
+        // stream.
+        devServer.child.stdout.pipe(pino.stdin, { end: false });
+
+        webpackDevServers.set(group.join(','), devServer);
+
+        // Track compile status, see `CompileStatusPlugin`.
+        devServer.child.on('message', (message) => {
+            if (message && message.type === 'webpack-compile') {
+                devServer.compilations.set(message.name, {
+                    status: message.status,
+                    errors: message.errors,
+                });
+
+                // A rebuild may come with pages added or removed.
+                if (message.status === 'compiling') {
+                    pool.entriesReadAt = 0;
+                }
+            }
+        });
+
+        const forget = () => {
+            if (webpackDevServers.get(group.join(',')) === devServer) {
+                webpackDevServers.delete(group.join(','));
+            }
+        };
+
+        // Forget processes that exit on their own, e.g. due to a crash.
+        devServer.child.on('exit', forget);
+
+        // A process which failed to spawn, e.g. ENOENT, never exits. Keep the
+        // error for requests which start waiting on it afterwards.
+        devServer.child.on('error', (e) => {
+            gutil.log(
+                gutil.colors.red(
+                    `webpack-dev-server for targets ${group.join(', ')} ` +
+                        `failed: ${e.message}`
+                )
+            );
+            devServer.error = e;
+            forget();
+        });
+
+        return { reused: false, devServer };
+    });
 }
@@ -2,6 +2,7 @@ const CssMinimizerPlugin = require('css-minimizer-webpack-plugin');
 const TerserPlugin = require('terser-webpack-plugin');
 const { merge } = require('webpack-merge');
 const common = require('./common');
+const { SizeBudgetPlugin } = require('./size-budget-plugin');
 
 // When webpack is called as `webpack serve` this invokes the dev server. By
 // searching the argv we can determine if serve was used.
@@ -21,7 +22,7 @@ module.exports = (props) =>
                     ? config.output.filename
                     : '[name].[contenthash].js',
                 publicPath: isWebpackDevServer
-                    ? props.get('paths').publicPath
+                    ? props.forApp(config.name).get('paths').publicPath
                     : '',
             },
             optimization: {
@@ -34,5 +35,11 @@ module.exports = (props) =>
                 ],
                 minimize: true,
             },
+            plugins: [
+                // Fail the build when an entry outgrows its budget.
+                new SizeBudgetPlugin(props.forApp(config.name).get('budgets'), {
+                    failOnExceeded: true,
+                }),
+            ],
         })
     );
@@ -0,0 +1,157 @@
+const http = require('http');
+const net = require('net');
+
+// Headers which only apply to a single connection and must not be forwarded.
+const hopByHopHeaders = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade',
+];
+
+const stripHopByHop = (headers) =>
+    Object.keys(headers).reduce((memo, name) => {
+        if (!hopByHopHeaders.includes(name.toLowerCase())) {
+            memo[name] = headers[name];
+        }
+        return memo;
+    }, {});
+
+// Respond with a gateway error, unless the response already started.
+const sendError = (res, statusCode, message) => {
+    if (res.writableEnded) {
+        return;
+    }
+
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(`${http.STATUS_CODES[statusCode]}: ${message}\n`);
+};
+
+/**
+ * Forwards an HTTP request to a local webpack-dev-server. Bodies are
+ * streamed in both directions, and the status code and headers are kept as
+ * is, so `HEAD` and conditional requests (`If-None-Match`,
+ * `If-Modified-Since`) behave as they would against the dev server itself.
+ *
+ * Connection failures respond with a 502 and timeouts with a 504.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {http.ServerResponse} res - Outgoing response
+ * @param {object} options - Required arguments
+ * @param {number} options.port - Port of the dev server
+ * @param {string} options.host - Host of the dev server
+ * @param {number} options.timeout - Milliseconds to wait for a response
+ * @returns {http.ClientRequest} - request to the dev server
+ */
+exports.proxyRequest = (
+    req,
+    res,
+    { port, host = 'localhost', timeout = 30000 }
+) => {
+    const target = `http://${host}:${port}${req.url}`;
+
+    const proxyReq = http.request(
+        {
+            host,
+            port,
+            method: req.method,
+            path: req.url,
+            headers: stripHopByHop(req.headers),
+        },
+        (proxyRes) => {
+            res.writeHead(
+                proxyRes.statusCode,
+                proxyRes.statusMessage,
+                stripHopByHop(proxyRes.headers)
+            );
+            proxyRes.pipe(res);
+        }
+    );
+
+    proxyReq.setTimeout(timeout, () => {
+        proxyReq.destroy();
+        sendError(
+            res,
+            504,
+            `${target} did not respond within ${timeout}ms`
+        );
+    });
+
+    proxyReq.on('error', (err) => {
+        sendError(res, 502, `Unable to reach ${target} (${err.message})`);
+    });
+
+    // Abort the forwarded request if the client goes away.
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            proxyReq.destroy();
+        }
+    });
+
+    req.pipe(proxyReq);
+
+    return proxyReq;
+};
+
+/**
+ * Forwards an upgrade request, such as a WebSocket connection, to a local
+ * webpack-dev-server and pipes the sockets together once established.
+ *
+ * @param {http.IncomingMessage} req - Incoming upgrade request
+ * @param {net.Socket} socket - Client socket
+ * @param {Buffer} head - First packet of the upgraded stream
+ * @param {object} options - Required arguments
+ * @param {number} options.port - Port of the dev server
+ * @param {string} options.host - Host of the dev server
+ * @returns {net.Socket} - socket to the dev server
+ */
+exports.proxyUpgrade = (req, socket, head, { port, host = 'localhost' }) => {
+    const proxySocket = net.connect(port, host, () => {
+        // Replay the original request, the dev server answers the handshake.
+        const headers = [];
+        for (let i = 0; i < req.rawHeaders.length; i += 2) {
+            headers.push(`${req.rawHeaders[i]}: ${req.rawHeaders[i + 1]}`);
+        }
+
+        proxySocket.write(
+            `${req.method} ${req.url} HTTP/${req.httpVersion}\r\n` +
+                headers.join('\r\n') +
+                '\r\n\r\n'
+        );
+
+        if (head && head.length) {
+            proxySocket.write(head);
+        }
+
+        proxySocket.pipe(socket);
+        socket.pipe(proxySocket);
+    });
+
+    proxySocket.on('error', (err) => {
+        if (socket.writable && !proxySocket.bytesRead) {
+            socket.end(
+                'HTTP/1.1 502 Bad Gateway\r\n' +
+                    'Content-Type: text/plain; charset=utf-8\r\n' +
+                    'Connection: close\r\n\r\n' +
+                    `Unable to reach ${host}:${port} (${err.message})\n`
+            );
+        } else {
+            socket.destroy();
+        }
+    });
+
+    socket.on('error', () => proxySocket.destroy());
+    socket.on('close', () => proxySocket.destroy());
+    proxySocket.on('close', () => socket.destroy());
+
+    return proxySocket;
+};
@@ -0,0 +1,64 @@
+const cssjanus = require('cssjanus');
+const { Compilation, sources } = require('webpack');
+
+// Derive the RTL filename from the original stylesheet, e.g. `index.css`
+// becomes `index.rtl.css`. Hashed names keep the hash of the original since
+// the flipped output is derived entirely from it.
+const toRtlFilename = (file) => file.replace(/\.css$/, '.rtl.css');
+
+const isRtlFilename = (file) => file.endsWith('.rtl.css');
+
+/**
+ * Emits a right-to-left variant next to every stylesheet in the compilation.
+ * Directional properties and shorthand values are flipped by cssjanus, rules
+ * or declarations preceded by an `@noflip` comment are left as is.
+ */
+class RtlCssPlugin {
+    apply(compiler) {
+        compiler.hooks.thisCompilation.tap('RtlCssPlugin', (compilation) => {
+            compilation.hooks.processAssets.tap(
+                {
+                    name: 'RtlCssPlugin',
+                    // Derive before optimizing so the RTL stylesheets are
+                    // minified along with the originals.
+                    stage: Compilation.PROCESS_ASSETS_STAGE_DERIVED,
+                },
+                (assets) => {
+                    Object.keys(assets)
+                        .filter(
+                            (file) =>
+                                file.endsWith('.css') && !isRtlFilename(file)
+                        )
+                        .forEach((file) => {
+                            const rtlFile = toRtlFilename(file);
+                            const source = assets[file].source().toString();
+
+                            compilation.emitAsset(
+                                rtlFile,
+                                new sources.RawSource(
+                                    cssjanus.transform(source)
+                                ),
+                                {
+                                    immutable: compilation.getAsset(file).info
+                                        .immutable,
+                                }
+                            );
+
+                            // Associate with the same chunks so the RTL file
+                            // is tracked as part of the entry.
+                            compilation.chunks.forEach((chunk) => {
+                                if (
+                                    chunk.files.has(file) ||
+                                    chunk.auxiliaryFiles.has(file)
+                                ) {
+                                    chunk.auxiliaryFiles.add(rtlFile);
+                                }
+                            });
+                        });
+                }
+            );
+        });
+    }
+}
+
+module.exports = { RtlCssPlugin, toRtlFilename, isRtlFilename };
@@ -0,0 +1,257 @@
+const zlib = require('zlib');
+const { Compilation, WebpackError } = require('webpack');
+const { didYouMean } = require('./did-you-mean');
+const { formatSize } = require('./helpers');
+const { isRtlFilename } = require('./rtl-css-plugin');
+
+// Budgets apply to the assets of an entry with these extensions.
+const assetTypes = {
+    js: '.js',
+    css: '.css',
+};
+
+const measures = {
+    raw: (buffer) => buffer.length,
+    gzip: (buffer) => zlib.gzipSync(buffer, { level: 9 }).length,
+    brotli: (buffer) => zlib.brotliCompressSync(buffer).length,
+};
+
+const units = { b: 1, kib: 1024, mib: 1024 * 1024 };
+
+/**
+ * Parses a budget, either a number of bytes or a string such as `250 KiB`.
+ *
+ * @param {number|string} value - Budget
+ * @param {string} name - Where the budget is declared, for errors
+ * @returns {number} - bytes
+ */
+function parseSize(value, name) {
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kib|mib)?$/i.exec(String(value));
+
+    if (!match) {
+        throw new Error(
+            `Invalid size budget '${value}' for ${name}, expected a number ` +
+                'of bytes or a size in B, KiB or MiB'
+        );
+    }
+
+    return Math.round(
+        Number(match[1]) * units[(match[2] || 'b').toLowerCase()]
+    );
+}
+
+// Render rows as columns padded to their widest cell.
+const formatTable = (rows) => {
+    const widths = rows[0].map((_, i) =>
+        Math.max(...rows.map((row) => String(row[i]).length))
+    );
+
+    return rows
+        .map((row) =>
+            row
+                .map((cell, i) => String(cell).padEnd(widths[i]))
+                .join('  ')
+                .trimEnd()
+        )
+        .join('\n');
+};
+
+/**
+ * Validates the budgets of an app and parses their sizes.
+ *
+ * @param {object} budgets - Budgets keyed by entry
+ * @returns {object} - budgets with sizes in bytes
+ */
+function normalizeBudgets(budgets) {
+    return Object.keys(budgets).reduce((memo, entry) => {
+        memo[entry] = Object.keys(budgets[entry]).reduce((types, type) => {
+            if (!(type in assetTypes)) {
+                throw new Error(
+                    `Unknown asset type '${type}' in the size budget of ` +
+                        `'${entry}'` +
+                        didYouMean(type, Object.keys(assetTypes))
+                );
+            }
+
+            types[type] = Object.keys(budgets[entry][type]).reduce(
+                (limits, measure) => {
+                    if (!(measure in measures)) {
+                        throw new Error(
+                            `Unknown size '${measure}' in the ${type} budget ` +
+                                `of '${entry}'` +
+                                didYouMean(measure, Object.keys(measures))
+                        );
+                    }
+
+                    limits[measure] = parseSize(
+                        budgets[entry][type][measure],
+                        `${entry} ${type} ${measure}`
+                    );
+                    return limits;
+                },
+                {}
+            );
+
+            return types;
+        }, {});
+
+        return memo;
+    }, {});
+}
+
+/**
+ * Checks the size of the assets of every entry against its budget, once the
+ * assets are optimized. Budgets are keyed by entry name, the first JS entry
+ * of an entry point, with `*` applying to entries without their own:
+ *
+ *     {
+ *         'index.jsx': { js: { raw: '250 KiB', gzip: '80 KiB' } },
+ *         '*': { css: { brotli: 20480 } },
+ *     }
+ *
+ * Each size is the sum over the JS or CSS files the entry loads upfront, RTL
+ * variants excluded. Exceeded budgets are reported in a single table, as an
+ * error when `failOnExceeded` is set and as a warning otherwise.
+ */
+class SizeBudgetPlugin {
+    /**
+     * @param {object} budgets - Budgets keyed by entry, see above
+     * @param {object} [options] - Options
+     * @param {boolean} [options.failOnExceeded] - Fail the build rather than
+     * warn
+     */
+    constructor(budgets, { failOnExceeded = false } = {}) {
+        this.budgets = normalizeBudgets(budgets || {});
+        this.failOnExceeded = failOnExceeded;
+    }
+
+    apply(compiler) {
+        if (!Object.keys(this.budgets).length) {
+            return;
+        }
+
+        compiler.hooks.thisCompilation.tap(
+            'SizeBudgetPlugin',
+            (compilation) => {
+                compilation.hooks.processAssets.tap(
+                    {
+                        name: 'SizeBudgetPlugin',
+                        // After minification and the real content hashes.
+                        stage: Compilation.PROCESS_ASSETS_STAGE_ANALYSE,
+                    },
+                    () => {
+                        const message = this.check(compilation);
+
+                        if (message) {
+                            (this.failOnExceeded
+                                ? compilation.errors
+                                : compilation.warnings
+                            ).push(new WebpackError(message));
+                        }
+                    }
+                );
+            }
+        );
+    }
+
+    /**
+     * Measures the entries of a compilation.
+     *
+     * @param {object} compilation - Webpack compilation
+     * @returns {string|undefined} - report of the exceeded budgets
+     */
+    check(compilation) {
+        const sizes = new Map();
+        const measure = (file, name) => {
+            const key = `${name}:${file}`;
+
+            if (!sizes.has(key)) {
+                const source = compilation.getAsset(file).source.buffer();
+                sizes.set(key, measures[name](source));
+            }
+
+            return sizes.get(key);
+        };
+
+        const exceeded = [];
+        const assets = [];
+
+        compilation.entrypoints.forEach((entrypoint, entry) => {
+            const budget = this.budgets[entry] || this.budgets['*'];
+
+            if (!budget) {
+                return;
+            }
+
+            Object.keys(budget).forEach((type) => {
+                const files = entrypoint
+                    .getFiles()
+                    .filter(
+                        (file) =>
+                            file.endsWith(assetTypes[type]) &&
+                            !isRtlFilename(file) &&
+                            !file.includes('hot-update') &&
+                            compilation.getAsset(file)
+                    );
+                const over = Object.keys(budget[type])
+                    .map((name) => ({
+                        name,
+                        size: files.reduce(
+                            (total, file) => total + measure(file, name),
+                            0
+                        ),
+                        limit: budget[type][name],
+                    }))
+                    .filter(({ size, limit }) => size > limit);
+
+                if (!over.length) {
+                    return;
+                }
+
+                over.forEach(({ name, size, limit }) => {
+                    exceeded.push([
+                        entry,
+                        type,
+                        name,
+                        formatSize(size),
+                        formatSize(limit),
+                        `+${formatSize(size - limit)}`,
+                    ]);
+                });
+
+                files.forEach((file) => {
+                    assets.push([
+                        entry,
+                        file,
+                        over
+                            .map(
+                                ({ name }) =>
+                                    `${name} ${formatSize(measure(file, name))}`
+                            )
+                            .join(', '),
+                    ]);
+                });
+            });
+        });
+
+        if (!exceeded.length) {
+            return;
+        }
+
+        return (
+            'Size budget exceeded:\n\n' +
+            formatTable([
+                ['Entry', 'Type', 'Size', 'Actual', 'Budget', 'Over'],
+                ...exceeded,
+            ]) +
+            '\n\n' +
+            formatTable([['Entry', 'Asset', 'Sizes'], ...assets])
+        );
+    }
+}
+
+module.exports = { SizeBudgetPlugin };
@@ -1,15 +1,331 @@
-const devConfig = require('./config');
+const fs = require('fs');
+const path = require('path');
+const { discoverApps } = require('webpack-config/apps');
+const { didYouMean } = require('webpack-config/did-you-mean');
+
+// Git-ignored, per developer overrides of config.js.
+const localConfigPath = path.resolve(__dirname, 'config.local.js');
+
+// Every key the webpack configuration reads, along with the expected type and
+// a default. Layers are applied in order: defaults, config.js, the local
+// override file and finally environment variables.
+const schema = {
+  'webpack.fast.refresh': { type: 'boolean', default: true },
+  'webpack.live.reload': { type: 'boolean', default: true },
+  // `false` disables source maps in the dev server. A devtool which maps
+  // stylesheets, e.g. 'source-map', maps CSS rules back to their LESS partial.
+  'webpack.devserver.source.maps': {
+    type: ['string', 'boolean'],
+    default: 'eval',
+  },
+  'webpack.cache.filesystem': { type: 'boolean', default: false },
+  'webpack.bundle.analyzer': { type: 'boolean', default: false },
+  'webpack.bundle.stats': { type: 'boolean', default: false },
+  // Limits of `webpack-bundle-stats compare`, per entry and relative to the
+  // saved baseline. Crossing any of them exits with 1.
+  'webpack.bundle.stats.thresholds': {
+    type: 'object',
+    default: {},
+    properties: {
+      'sizeIncrease': { type: 'number', optional: true },
+      'sizeIncreasePercent': { type: 'number', optional: true },
+      'addedModules': { type: 'number', optional: true },
+      'addedDuplicatePackages': { type: 'number', optional: true },
+      'chunkCountIncrease': { type: 'number', optional: true },
+    },
+  },
+  'webpack.html.mount': { type: 'string', default: 'main' },
+  // Type check apps with a tsconfig.json in a separate process.
+  'webpack.typescript.check': { type: 'boolean', default: true },
+  // Fail production builds on type errors, they are always reported as
+  // warnings otherwise.
+  'webpack.typescript.fail.on.errors': { type: 'boolean', default: true },
+  'webpack.enabled.packages': { type: 'array', default: [] },
+  // Prefixes of LESS imports mapped to a path, relative to the repository
+  // root when starting with a dot, or to a package, e.g.
+  // `{ theme: './packages/design-system/less/themes' }`.
+  'webpack.less.alias': { type: 'object', default: {} },
+  // LESS imports read and parsed at once while discovering the import tree.
+  'webpack.less.import.concurrency': { type: 'number', default: 8 },
+  // Emit a JSON and an HTML report of the LESS import graph next to each CSS
+  // entry: who imports each file, where its rules were injected and how many
+  // bytes every copy adds.
+  'webpack.less.import.report': { type: 'boolean', default: false },
+  // Upper bound of webpack-dev-server processes the on-demand server keeps
+  // running, the least recently used one is stopped to make room.
+  'webpack.ondemand.max.servers': { type: 'number', default: 4 },
+  // Milliseconds a request to the on-demand server waits for its entry to
+  // compile before failing with a 504, 0 waits indefinitely.
+  'webpack.ondemand.compile.timeout': { type: 'number', default: 120000 },
+  // Entry targets which share a webpack-dev-server process, e.g.
+  // `[['website/index.js', 'website/about.js'], ['admin']]`. Entries not
+  // listed get a process of their own. As an environment variable groups are
+  // separated by semicolons, e.g. `website/index.js,website/about.js;admin`.
+  'webpack.ondemand.groups': {
+    type: 'array',
+    default: [],
+    items: { type: 'array', items: { type: 'string' } },
+  },
+  // Paths shared by every app, each app declares its own source and output
+  // paths which take precedence, see `webpack-config/apps`.
+  'paths': {
+    type: 'object',
+    default: {},
+    properties: {
+      'srcRoot': { type: 'string', optional: true },
+      'srcCss': { type: 'string', optional: true },
+      'srcJs': { type: 'string', optional: true },
+      'generatedRoot': { type: 'string', optional: true },
+      'htmlTemplate': { type: 'string', optional: true },
+      'publicPath': { type: 'string', optional: true },
+    },
+  },
+};
+
+// What each discovered app declares, validated after path resolution.
+const appSchema = {
+  'root': { type: 'string' },
+  'paths': {
+    type: 'object',
+    properties: {
+      ...schema.paths.properties,
+      'srcRoot': { type: 'string' },
+      'srcCss': { type: 'string' },
+      'srcJs': { type: 'string' },
+      'generatedRoot': { type: 'string' },
+    },
+  },
+  'applicationData': {
+    type: 'object',
+    properties: {
+      'getEntryPoints': { type: 'function' },
+    },
+  },
+  // Size budgets keyed by entry, see `webpack-config/size-budget-plugin`.
+  'budgets': { type: 'object' },
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+
+  return value === null ? 'null' : typeof value;
+};
+
+const typesOf = ({ type }) => [].concat(type);
+
+/**
+ * Validates a single layer against the schema, throwing an error naming the
+ * key, the layer it came from and the expected type.
+ *
+ * @param {object} layer - Config values to validate
+ * @param {string} source - Human readable name of the layer
+ * @param {object} definitions - Schema to validate against
+ * @param {string} prefix - Parent key, used for nested objects
+ */
+function validate(layer, source, definitions = schema, prefix = '') {
+  Object.keys(layer).forEach((key) => {
+    const name = prefix + key;
+    const definition = definitions[key];
+    const value = layer[key];
+
+    if (!definition) {
+      throw new Error(
+        `Unknown config key '${name}' in ${source}` +
+          didYouMean(key, Object.keys(definitions))
+      );
+    }
+
+    if (value === undefined && definition.optional) {
+      return;
+    }
+
+    if (!typesOf(definition).includes(typeOf(value))) {
+      throw new Error(
+        `Invalid config value for '${name}' in ${source}: expected ` +
+          `${typesOf(definition).join(' or ')}, received ${typeOf(value)}`
+      );
+    }
+
+    if (definition.properties) {
+      validate(value, source, definition.properties, `${name}.`);
+    }
+
+    // Elements are named after their index, e.g. `webpack.ondemand.groups.0`.
+    if (definition.items) {
+      value.forEach((item, i) => {
+        validate({ [i]: item }, source, { [i]: definition.items }, `${name}.`);
+      });
+    }
+  });
+}
+
+// Map a key to its environment variable, e.g. `webpack.bundle.analyzer`
+// becomes `WEBPACK_BUNDLE_ANALYZER`.
+const toEnvName = (key) => key.toUpperCase().replace(/\./g, '_');
+
+/**
+ * Reads overrides from environment variables. Only keys with scalar or array
+ * types can be set this way, arrays are comma separated and arrays of arrays
+ * separated by semicolons first. Each variable is its own layer so errors
+ * name the variable that was set.
+ *
+ * @param {object} env - Environment, defaults to process.env
+ * @returns {object[]} - config layers
+ */
+function readEnvLayers(env) {
+  return Object.keys(schema)
+    .filter(
+      (key) =>
+        toEnvName(key) in env && !typesOf(schema[key]).includes('object')
+    )
+    .map((key) => {
+      const envName = toEnvName(key);
+      const types = typesOf(schema[key]);
+      const value = env[envName];
+      // Anything not parsed below is left as a string so validation can
+      // report the mismatch.
+      let parsed = value;
+
+      if (types.includes('boolean') && /^(1|true|0|false)$/i.test(value)) {
+        parsed = /^(1|true)$/i.test(value);
+      } else if (
+        types.includes('array') &&
+        typesOf(schema[key].items || {}).includes('array')
+      ) {
+        // Arrays of arrays, the outer one separated by semicolons.
+        parsed = value
+          .split(';')
+          .map((group) => group.split(',').filter(Boolean))
+          .filter((group) => group.length);
+      } else if (types.includes('array')) {
+        parsed = value.split(',').filter(Boolean);
+      } else if (types.includes('number') && !isNaN(Number(value))) {
+        parsed = Number(value);
+      }
+
+      return {
+        source: `environment variable ${envName}`,
+        values: { [key]: parsed },
+      };
+    });
+}
+
+// Objects such as `paths` merge per property so a layer only needs to list
+// what it changes.
+const mergeLayer = (config, layer) =>
+  Object.keys(layer).reduce(
+    (memo, key) => {
+      memo[key] =
+        typeOf(layer[key]) === 'object' && typeOf(memo[key]) === 'object'
+          ? { ...memo[key], ...layer[key] }
+          : layer[key];
+      return memo;
+    },
+    { ...config }
+  );
+
+const defaults = () =>
+  Object.keys(schema).reduce((memo, key) => {
+    const { default: value, properties } = schema[key];
+
+    memo[key] = properties
+      ? Object.keys(properties).reduce(
+          (nested, prop) => {
+            if ('default' in properties[prop]) {
+              nested[prop] = properties[prop].default;
+            }
+            return nested;
+          },
+          { ...value }
+        )
+      : value;
+
+    return memo;
+  }, {});
 
 exports.websiteBuild = {
-  getBuildConfig: async () => {
-    return {
-      get(propName) {
-        if (propName in devConfig) {
-          return devConfig[propName];
-        }
-
-        throw new Error(`Unimplemented ${propName}`);
+  schema,
+
+  getBuildConfig: async ({ env = process.env } = {}) => {
+    const layers = [
+      { source: 'config.js', values: require('./config') },
+      fs.existsSync(localConfigPath) && {
+        source: path.basename(localConfigPath),
+        values: require(localConfigPath),
       },
+      ...readEnvLayers(env),
+    ].filter(Boolean);
+
+    const config = layers.reduce((memo, { source, values }) => {
+      validate(values, source);
+      return mergeLayer(memo, values);
+    }, defaults());
+
+    const apps = discoverApps(__dirname);
+
+    Object.keys(apps).forEach((name) => {
+      validate(apps[name], `apps/${name}`, appSchema);
+    });
+
+    /**
+     * Creates the props API, scoped to an app when given. Scoped props
+     * return the app's `paths`, layered over the shared paths, its
+     * `applicationData`, its size `budgets` and its `root` directory.
+     *
+     * @param {string} appName - App to scope to
+     * @returns {object} - props
+     */
+    const createProps = (appName) => {
+      const app = apps[appName];
+
+      return {
+        name: appName,
+
+        get(propName) {
+          if (app && propName === 'paths') {
+            return { ...config.paths, ...app.paths };
+          }
+
+          if (app && propName === 'applicationData') {
+            return app.applicationData;
+          }
+
+          if (app && propName === 'root') {
+            return app.root;
+          }
+
+          if (app && propName === 'budgets') {
+            return app.budgets;
+          }
+
+          if (propName === 'apps') {
+            return Object.keys(apps);
+          }
+
+          if (propName in config) {
+            return config[propName];
+          }
+
+          throw new Error(
+            `Unknown config key '${propName}'` +
+              didYouMean(propName, Object.keys(schema))
+          );
+        },
+
+        forApp(name) {
+          if (!(name in apps)) {
+            throw new Error(
+              `Unknown app '${name}'` + didYouMean(name, Object.keys(apps))
+            );
+          }
+
+          return createProps(name);
+        },
+      };
     };
+
+    return createProps();
   },
 };